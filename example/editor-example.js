@@ -13,20 +13,7 @@ const options = {
   renderOptions: {
     hideNodesOfType: ['comment','functionDef','variableDef','struct']
   },
-  toolbar: document.getElementById('toolbar'),
-  willInsertNode(sourceNodeText, sourceNode, destination) {
-    let line = editor.getCodeMirror().getLine(destination.line);
-    let prev = line[destination.ch - 1] || '\n';
-    let next = line[destination.ch] || '\n';
-    sourceNodeText = sourceNodeText.trim();
-    if (!/\s|[\(\[\{]/.test(prev)) {
-      sourceNodeText = ' ' + sourceNodeText;
-    }
-    if (!/\s|[\)\]\}]/.test(next)) {
-      sourceNodeText += ' ';
-    }
-    return sourceNodeText;
-  }
+  toolbar: document.getElementById('toolbar')
 };
 
 let editor = renderEditorInto(
@@ -1,4 +1,4 @@
-import {AST, Literal, Expression} from '../src/ast';
+import {AST, Literal, Expression, Blank} from '../src/ast';
 
 const TOKENS = {
   OPEN_PAREN: 'open-paren',
@@ -37,7 +37,7 @@ export default class Parser {
   }
 
   getToken() {
-    const IDENTIFIER_RE = /[\w-+\/*]/;
+    const IDENTIFIER_RE = /[\w-+\/*.]/;
     if (this.charIndex >= this.code.length) {
       return new Token(
         {line: this.lineIndex, ch: this.colIndex},
@@ -135,6 +135,11 @@ export default class Parser {
       return this.parseExpression();
     case TOKENS.NUMBER:
       return this.parseLiteral();
+    case TOKENS.IDENTIFIER:
+      if (this.peekToken().text == '...') {
+        return this.parseBlank();
+      }
+      throw new Error("Expected either a number or another expression");
     default:
       throw new Error("Expected either a number or another expression");
     }
@@ -150,6 +155,11 @@ export default class Parser {
     );
   }
 
+  parseBlank() {
+    let blankToken = this.getToken();
+    return new Blank(blankToken.from, blankToken.to, blankToken.text);
+  }
+
   parseExpression() {
     let token = this.getToken();
     if (token.token != TOKENS.OPEN_PAREN) {
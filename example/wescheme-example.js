@@ -30,19 +30,6 @@ cm2.swapDoc(cm.getDoc().linkedDoc({sharedHist: true}));
 const options = {
   renderOptions: {
     hideNodesOfType: ['comment','functionDef','variableDef','struct']
-  },
-  willInsertNode(sourceNodeText, sourceNode, destination) {
-    let line = cm2.getLine(destination.line);
-    let prev = line[destination.ch - 1] || '\n';
-    let next = line[destination.ch] || '\n';
-    sourceNodeText = sourceNodeText.trim();
-    if (!/\s|[\(\[\{]/.test(prev)) {
-      sourceNodeText = ' ' + sourceNodeText;
-    }
-    if (!/\s|[\)\]\}]/.test(next)) {
-      sourceNodeText += ' ';
-    }
-    return sourceNodeText;
   }
 };
 var blocks = new CodeMirrorBlocks(cm2, new WeschemeParser(), options);
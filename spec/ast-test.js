@@ -1,4 +1,26 @@
-import {AST, Literal, Expression} from '../src/ast';
+import {
+  AST,
+  ASTNode,
+  Literal,
+  Expression,
+  Struct,
+  VariableDefinition,
+  FunctionDefinition,
+  Comment,
+  Blank,
+  Unknown,
+  IfExpression,
+  CondExpression,
+  CondClause,
+  LambdaExpression,
+  LetExpression,
+  Binding,
+  QuotedExpression,
+  Vector,
+  reconcile,
+  walk
+} from '../src/ast';
+import ExampleParser from '../example/parser';
 
 describe("The Literal Class", function() {
   it("should be constructed with a value and data type", function() {
@@ -113,4 +135,318 @@ describe("The AST Class", function() {
     expect(ast.nodeMap.get(nodes[1].args[0].id)).toBe(nodes[1].args[0]);
     expect(ast.nodeMap.get(nodes[1].args[1].id)).toBe(nodes[1].args[1]);
   });
+
+  describe("when navigating the tree,", function() {
+    beforeEach(function() {
+      this.ast = new ExampleParser().parse('1 (+ 2 (* 3 4)) 5');
+      this.expression = this.ast.rootNodes[1];
+      this.inner = this.expression.args[1];
+    });
+
+    it("should know the parent of every node", function() {
+      expect(this.ast.getParent(this.expression.args[0])).toBe(this.expression);
+      expect(this.ast.getParent(this.inner.args[1])).toBe(this.inner);
+      expect(this.ast.getParent(this.expression)).toBe(null);
+    });
+
+    it("should know the children of every node", function() {
+      expect(this.ast.getChildren(this.expression))
+        .toEqual([this.expression.func].concat(this.expression.args));
+      expect(this.ast.getChildren(this.ast.rootNodes[0])).toEqual([]);
+    });
+
+    it("should know the index of a node among its siblings", function() {
+      expect(this.ast.getSiblingIndex(this.inner)).toBe(2);
+      expect(this.ast.getSiblingIndex(this.ast.rootNodes[2])).toBe(2);
+    });
+
+    it("should find the next and previous siblings of a node", function() {
+      expect(this.ast.getNextSibling(this.expression.args[0])).toBe(this.inner);
+      expect(this.ast.getNextSibling(this.inner)).toBe(null);
+      expect(this.ast.getPrevSibling(this.inner)).toBe(this.expression.args[0]);
+      expect(this.ast.getPrevSibling(this.expression.func)).toBe(null);
+    });
+
+    it("should treat root nodes as siblings of each other", function() {
+      expect(this.ast.getNextSibling(this.expression)).toBe(this.ast.rootNodes[2]);
+      expect(this.ast.getPrevSibling(this.expression)).toBe(this.ast.rootNodes[0]);
+    });
+
+    it("should not find siblings for a node from another ast", function() {
+      let other = new ExampleParser().parse('1 (+ 2 (* 3 4)) 5');
+      expect(this.ast.getNextSibling(other.rootNodes[0])).toBe(null);
+      expect(this.ast.getPrevSibling(other.rootNodes[2])).toBe(null);
+    });
+
+    it("should find the innermost node at a position", function() {
+      let pos = (ch) => ({line: 0, ch});
+      expect(this.ast.getNodeAt(pos(0))).toBe(this.ast.rootNodes[0]);
+      expect(this.ast.getNodeAt(pos(2))).toBe(this.expression);
+      expect(this.ast.getNodeAt(pos(5))).toBe(this.expression.args[0]);
+      expect(this.ast.getNodeAt(pos(10))).toBe(this.inner.args[0]);
+      expect(this.ast.getNodeAt(pos(13))).toBe(this.inner);
+      expect(this.ast.getNodeAt(pos(14))).toBe(this.expression);
+    });
+
+    it("should not find a node at a position between nodes", function() {
+      expect(this.ast.getNodeAt({line: 0, ch: 1})).toBe(null);
+      expect(this.ast.getNodeAt({line: 0, ch: 17})).toBe(null);
+      expect(this.ast.getNodeAt({line: 1, ch: 0})).toBe(null);
+    });
+
+    it("should find every node that lies within a range", function() {
+      expect(this.ast.getNodesInRange({line: 0, ch: 4}, {line: 0, ch: 17})).toEqual([
+        this.expression.args[0],
+        this.inner,
+        this.inner.func,
+        this.inner.args[0],
+        this.inner.args[1],
+        this.ast.rootNodes[2]
+      ]);
+      expect(this.ast.getNodesInRange({line: 0, ch: 0}, {line: 0, ch: 1}))
+        .toEqual([this.ast.rootNodes[0]]);
+      expect(this.ast.getNodesInRange({line: 0, ch: 1}, {line: 0, ch: 2})).toEqual([]);
+    });
+
+    it("should list the ancestors of a node from the inside out", function() {
+      expect(this.ast.getAncestors(this.inner.args[0])).toEqual([this.inner, this.expression]);
+      expect(this.ast.getAncestors(this.expression)).toEqual([]);
+    });
+  });
+});
+
+describe("Traversing nodes,", function() {
+  beforeEach(function() {
+    let from = {line: 0, ch: 0};
+    let to = {line: 0, ch: 0};
+    this.literal = (value) => new Literal(from, to, value, 'symbol');
+    this.struct = new Struct(from, to, 'posn', [this.literal('x'), this.literal('y')]);
+    this.body = new Expression(from, to, this.literal('+'), [this.literal('x'), this.literal(1)]);
+    this.functionDef = new FunctionDefinition(from, to, 'f', ['x'], this.body);
+    this.variableDef = new VariableDefinition(from, to, 'y', this.literal(2));
+    this.unknown = new Unknown(from, to, [this.literal('foo'), new Blank(from, to, '...')]);
+    this.ast = new AST([this.struct, this.functionDef, this.variableDef, this.unknown]);
+  });
+
+  it("should reach the fields of a struct", function() {
+    expect([...this.struct]).toEqual([this.struct].concat(this.struct.fields));
+  });
+
+  it("should reach the body of definitions", function() {
+    expect([...this.functionDef]).toEqual([this.functionDef, ...this.body]);
+    expect([...this.variableDef]).toEqual([this.variableDef, this.variableDef.body]);
+  });
+
+  it("should reach every part of the new kinds of expressions", function() {
+    let from = {line: 0, ch: 0};
+    let to = {line: 0, ch: 0};
+    let clause = new CondClause(from, to, this.literal('a'), [this.literal('b'), this.literal('c')]);
+    let cond = new CondExpression(from, to, [clause]);
+    expect([...cond]).toEqual([cond, clause, clause.testExpr].concat(clause.thenExprs));
+
+    let binding = new Binding(from, to, 'x', this.literal(1));
+    let letExpr = new LetExpression(from, to, 'let', [binding], this.literal('x'));
+    expect([...letExpr]).toEqual([letExpr, binding, binding.value, letExpr.body]);
+
+    let ifExpr = new IfExpression(from, to, this.literal('a'), this.literal('b'), this.literal('c'));
+    expect([...ifExpr]).toEqual([ifExpr, ifExpr.testExpr, ifExpr.thenExpr, ifExpr.elseExpr]);
+  });
+
+  it("should reach the elements of unknown nodes", function() {
+    expect([...this.unknown]).toEqual([this.unknown].concat(this.unknown.elts));
+  });
+
+  it("should add every node of every type to the node map", function() {
+    for (let rootNode of this.ast.rootNodes) {
+      for (let node of rootNode) {
+        expect(this.ast.nodeMap.get(node.id)).toBe(node);
+      }
+    }
+    expect(this.ast.getParent(this.struct.fields[1])).toBe(this.struct);
+  });
+
+  it("should call enter and leave for every node, in order", function() {
+    let calls = [];
+    walk(this.variableDef, {
+      enter: (node) => calls.push(['enter', node]),
+      leave: (node) => calls.push(['leave', node])
+    });
+    expect(calls).toEqual([
+      ['enter', this.variableDef],
+      ['enter', this.variableDef.body],
+      ['leave', this.variableDef.body],
+      ['leave', this.variableDef]
+    ]);
+  });
+
+  it("should call the callbacks for a node's type with the node and its parent", function() {
+    let literals = [];
+    let expressions = [];
+    walk(this.ast.rootNodes, {
+      literal: (node, parent) => literals.push([node.value, parent]),
+      expression: {leave: (node) => expressions.push(node)}
+    });
+    expect(literals).toEqual([
+      ['x', this.struct],
+      ['y', this.struct],
+      ['+', this.body],
+      ['x', this.body],
+      [1, this.body],
+      [2, this.variableDef],
+      ['foo', this.unknown]
+    ]);
+    expect(expressions).toEqual([this.body]);
+  });
+
+  it("should skip the inside of a node when enter returns false", function() {
+    let visited = [];
+    walk(this.ast.rootNodes, {
+      enter: (node) => visited.push(node),
+      functionDef: () => false
+    });
+    expect(visited).toContain(this.functionDef);
+    expect(visited).not.toContain(this.body);
+  });
+});
+
+describe("The reconcile function", function() {
+  beforeEach(function() {
+    this.parser = new ExampleParser();
+    this.reconcile = (oldCode, newCode) => {
+      let oldNodes = this.parser.parse(oldCode).rootNodes;
+      let newNodes = this.parser.parse(newCode).rootNodes;
+      reconcile(oldNodes, newNodes);
+      return [oldNodes, newNodes];
+    };
+  });
+
+  it("should carry ids over to nodes that didn't change", function() {
+    let [oldNodes, newNodes] = this.reconcile('11 (+ 1 2)', '11 (+ 1 2)');
+    expect(newNodes[0].id).toBe(oldNodes[0].id);
+    expect(newNodes[1].id).toBe(oldNodes[1].id);
+    expect(newNodes[1].func.id).toBe(oldNodes[1].func.id);
+    expect(newNodes[1].args[1].id).toBe(oldNodes[1].args[1].id);
+  });
+
+  it("should carry ids over to nodes that were edited in place", function() {
+    let [oldNodes, newNodes] = this.reconcile('(+ 1 2 3)', '(+ 1 5 3)');
+    expect(newNodes[0].id).toBe(oldNodes[0].id);
+    expect(newNodes[0].args[1].id).toBe(oldNodes[0].args[1].id);
+  });
+
+  it("should carry ids over to nodes that were reordered", function() {
+    let [oldNodes, newNodes] = this.reconcile('(+ 1 2 3)', '(+ 2 1 3)');
+    expect(newNodes[0].args[0].id).toBe(oldNodes[0].args[1].id);
+    expect(newNodes[0].args[1].id).toBe(oldNodes[0].args[0].id);
+    expect(newNodes[0].args[2].id).toBe(oldNodes[0].args[2].id);
+  });
+
+  it("should carry ids over to nodes that moved to a different parent", function() {
+    let [oldNodes, newNodes] = this.reconcile('(+ 1 2) (- 3 (* 4 5))', '(+ 1 (* 4 5) 2) (- 3)');
+    expect(newNodes[0].args[1].id).toBe(oldNodes[1].args[1].id);
+    expect(newNodes[0].args[1].args[0].id).toBe(oldNodes[1].args[1].args[0].id);
+    expect(newNodes[1].id).toBe(oldNodes[1].id);
+  });
+
+  it("should give new nodes ids of their own", function() {
+    let [oldNodes, newNodes] = this.reconcile('(+ 1 2)', '(+ 1 7 2)');
+    let oldIds = [...oldNodes[0]].map(node => node.id);
+    expect(oldIds).not.toContain(newNodes[0].args[1].id);
+    expect(newNodes[0].args[2].id).toBe(oldNodes[0].args[1].id);
+  });
+});
+
+describe("JSON serialization,", function() {
+  function roundTrip(node) {
+    return ASTNode.fromJSON(JSON.parse(JSON.stringify(node)));
+  }
+
+  beforeEach(function() {
+    this.from = {line: 1, ch: 0};
+    this.to = {line: 1, ch: 20};
+    this.literal = new Literal({line: 1, ch: 3}, {line: 1, ch: 5}, 11, 'number', {'aria-label': '11'});
+    this.expression = new Expression(
+      this.from,
+      this.to,
+      new Literal({line: 1, ch: 1}, {line: 1, ch: 2}, '+', 'symbol'),
+      [this.literal, new Blank({line: 1, ch: 6}, {line: 1, ch: 9}, '...')],
+      {'aria-label': '+ expression'}
+    );
+  });
+
+  it("should restore a literal with its type, positions and options", function() {
+    let literal = roundTrip(this.literal);
+    expect(literal).toEqual(jasmine.any(Literal));
+    expect(literal.id).toBe(this.literal.id);
+    expect(literal.from).toEqual(this.literal.from);
+    expect(literal.to).toEqual(this.literal.to);
+    expect(literal.value).toBe(11);
+    expect(literal.dataType).toBe('number');
+    expect(literal.options).toEqual({'aria-label': '11'});
+  });
+
+  it("should restore the children of an expression", function() {
+    let expression = roundTrip(this.expression);
+    expect(expression).toEqual(jasmine.any(Expression));
+    expect(expression.func).toEqual(jasmine.any(Literal));
+    expect(expression.func.value).toBe('+');
+    expect(expression.args[0]).toEqual(jasmine.any(Literal));
+    expect(expression.args[0].id).toBe(this.literal.id);
+    expect(expression.args[1]).toEqual(jasmine.any(Blank));
+    expect(expression.options).toEqual({'aria-label': '+ expression'});
+  });
+
+  it("should restore every other type of node", function() {
+    let nodes = [
+      new Struct(this.from, this.to, 'point', [this.literal]),
+      new VariableDefinition(this.from, this.to, 'x', this.literal),
+      new FunctionDefinition(this.from, this.to, 'f', ['x', 'y'], this.expression),
+      new Comment(this.from, this.to, 'a comment'),
+      new Unknown(this.from, this.to, [this.literal, this.expression], {msg: 'Parse error'}),
+      new IfExpression(this.from, this.to, this.literal, this.expression, this.literal),
+      new CondExpression(this.from, this.to, [
+        new CondClause(this.from, this.to, this.literal, [this.expression])
+      ]),
+      new LambdaExpression(this.from, this.to, ['x'], this.expression),
+      new LetExpression(this.from, this.to, 'let*', [
+        new Binding(this.from, this.to, 'x', this.literal)
+      ], this.expression),
+      new QuotedExpression(this.from, this.to, this.literal),
+      new Vector(this.from, this.to, [this.literal, this.literal])
+    ];
+    let restored = nodes.map(roundTrip);
+    nodes.forEach((node, i) => {
+      expect(restored[i].constructor).toBe(node.constructor);
+      expect(restored[i].toJSON()).toEqual(node.toJSON());
+    });
+    expect(restored[2].args).toEqual(['x', 'y']);
+    expect(restored[2].body).toEqual(jasmine.any(Expression));
+  });
+
+  it("should restore names that are nodes of their own", function() {
+    let name = new Literal(this.from, this.to, 'f', 'symbol');
+    let definition = roundTrip(new FunctionDefinition(this.from, this.to, name, [], this.literal));
+    expect(definition.name).toEqual(jasmine.any(Literal));
+    expect(definition.name.id).toBe(name.id);
+  });
+
+  it("should leave out things that aren't part of the node, like its DOM element", function() {
+    this.literal.el = document.createElement('span');
+    expect(this.literal.toJSON().el).toBeUndefined();
+  });
+
+  it("should throw an error for unknown node types", function() {
+    expect(() => ASTNode.fromJSON({type: 'bogus'})).toThrowError(/bogus/);
+  });
+
+  it("should restore a whole AST", function() {
+    let comment = new Comment({line: 0, ch: 0}, {line: 0, ch: 10}, 'a comment');
+    let ast = new AST([comment, this.expression]);
+    let restored = AST.fromJSON(JSON.parse(JSON.stringify(ast)));
+    expect(restored).toEqual(jasmine.any(AST));
+    expect(restored.rootNodes.length).toBe(2);
+    expect(restored.nodeMap.get(comment.id)).toBe(restored.rootNodes[0]);
+    expect(restored.nodeMap.get(this.literal.id)).toBe(restored.rootNodes[1].args[0]);
+    expect(restored.toJSON()).toEqual(ast.toJSON());
+  });
 });
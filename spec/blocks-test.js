@@ -1,10 +1,12 @@
 import CodeMirrorBlocks, {BlockMarker} from '../src/blocks';
 import CodeMirror from 'codemirror';
 import ExampleParser from '../example/parser';
+import {Literal} from '../src/ast';
+import {Primitive, PrimitiveGroup} from '../src/parsers/primitives';
 var render = require('../src/render');
 
-function click() {
-  return new MouseEvent('click', {bubbles: true});
+function click(other={}) {
+  return new MouseEvent('click', Object.assign({bubbles: true}, other));
 }
 function dblclick() {
   return new MouseEvent('dblclick', {bubbles: true});
@@ -49,8 +51,27 @@ function drop(dataTransfer) {
   event.dataTransfer = dataTransfer;
   return event;
 }
+function clipboardEvent(type, data={}) {
+  let event = new CustomEvent(type, {bubbles: true, cancelable: true});
+  event.clipboardData = {
+    data,
+    setData(type, data) {
+      this.data[type] = data;
+    },
+    getData(type) {
+      return this.data[type] || '';
+    }
+  };
+  return event;
+}
 function cut() {
-  return new CustomEvent('cut', {bubbles: true});
+  return clipboardEvent('cut');
+}
+function copy() {
+  return clipboardEvent('copy');
+}
+function paste(text) {
+  return clipboardEvent('paste', {'text/plain': text});
 }
 
 describe('The CodeMirrorBlocks Class', function() {
@@ -98,6 +119,15 @@ describe('The CodeMirrorBlocks Class', function() {
     it("should set block mode to be disabled", function() {
       expect(this.blocks.blockMode).toBe(false);
     });
+
+    it("should let announcements be reworded", function() {
+      let blocks = new CodeMirrorBlocks(CodeMirror(document.body), this.parser, {
+        messages: {deleted: text => `supprimé ${text}`}
+      });
+      expect(blocks.messages.deleted('1')).toBe('supprimé 1');
+      expect(blocks.messages.cut('1')).toBe('cut 1');
+      expect(this.blocks.messages.deleted('1')).toBe('deleted 1');
+    });
   });
 
   describe('text marking api,', function() {
@@ -232,6 +262,295 @@ describe('The CodeMirrorBlocks Class', function() {
       );
     });
 
+    describe('when only part of the document changes,', function() {
+      beforeEach(function() {
+        this.blocks.setBlockMode(true);
+        this.cm.setValue('11\n(+ 1 2)\n54');
+        this.literal = this.blocks.ast.rootNodes[0];
+        this.expression = this.blocks.ast.rootNodes[1];
+        this.lastLiteral = this.blocks.ast.rootNodes[2];
+        spyOn(render, 'default').and.callThrough();
+      });
+
+      it('should only re-render the top level nodes that changed', function() {
+        this.cm.replaceRange('3', {line: 1, ch: 5}, {line: 1, ch: 6});
+        expect(render.default.calls.count()).toBe(1);
+        expect(this.blocks.ast.rootNodes.length).toBe(3);
+        expect(this.blocks.ast.rootNodes[0]).toBe(this.literal);
+        expect(this.blocks.ast.rootNodes[1]).not.toBe(this.expression);
+        expect(this.blocks.ast.rootNodes[1].args[1].value).toBe(3);
+        expect(this.blocks.ast.rootNodes[2]).toBe(this.lastLiteral);
+      });
+
+      it('should keep untouched nodes in the node map', function() {
+        this.cm.replaceRange('3', {line: 1, ch: 5}, {line: 1, ch: 6});
+        expect(this.blocks.ast.nodeMap.get(this.literal.id)).toBe(this.literal);
+        expect(this.blocks.ast.nodeMap.get(this.lastLiteral.id)).toBe(this.lastLiteral);
+        expect(this.blocks.ast.nodeMap.get(this.expression.id)).toBe(this.blocks.ast.rootNodes[1]);
+      });
+
+      it('should shift the positions of nodes after the change', function() {
+        this.cm.replaceRange('\n\n', {line: 0, ch: 2});
+        expect(render.default.calls.count()).toBe(1);
+        expect(this.blocks.ast.rootNodes[2]).toBe(this.lastLiteral);
+        expect(this.lastLiteral.from).toEqual({line: 4, ch: 0});
+        expect(this.lastLiteral.to).toEqual({line: 4, ch: 2});
+      });
+
+      it('should re-parse nodes that get merged by a change', function() {
+        this.cm.replaceRange('', {line: 0, ch: 2}, {line: 1, ch: 0});
+        expect(this.cm.getValue()).toBe('11(+ 1 2)\n54');
+        expect(this.blocks.ast.rootNodes.length).toBe(3);
+        expect(this.blocks.ast.rootNodes[0]).not.toBe(this.literal);
+        expect(this.blocks.ast.rootNodes[1].from).toEqual({line: 0, ch: 2});
+        expect(this.blocks.ast.rootNodes[2]).toBe(this.lastLiteral);
+        expect(this.lastLiteral.from).toEqual({line: 1, ch: 0});
+      });
+    });
+
+    describe('as a tree,', function() {
+      beforeEach(function() {
+        this.blocks.setBlockMode(true);
+        this.cm.setValue('(+ 1 2)\n54');
+        this.expression = this.blocks.ast.rootNodes[0];
+        this.linesEl = this.cm.getWrapperElement().querySelector('.CodeMirror-code');
+      });
+
+      it('should put the blocks in a tree while in block mode', function() {
+        expect(this.linesEl.getAttribute('role')).toBe('tree');
+        this.blocks.setBlockMode(false);
+        expect(this.linesEl.getAttribute('role')).toBe('presentation');
+      });
+
+      it('should say how deep each node is and where it is among its siblings', function() {
+        let el = this.expression.el;
+        expect(el.getAttribute('aria-level')).toBe('1');
+        expect(el.getAttribute('aria-posinset')).toBe('1');
+        expect(el.getAttribute('aria-setsize')).toBe('2');
+        expect(el.getAttribute('aria-expanded')).toBe('true');
+        el = this.expression.args[1].el;
+        expect(el.getAttribute('aria-level')).toBe('2');
+        expect(el.getAttribute('aria-posinset')).toBe('3');
+        expect(el.getAttribute('aria-setsize')).toBe('3');
+        expect(el.hasAttribute('aria-expanded')).toBe(false);
+      });
+
+      it('should keep the positions of root nodes up to date', function() {
+        this.cm.replaceRange('\n3', {line: 1, ch: 2});
+        let lastLiteral = this.blocks.ast.rootNodes[1];
+        expect(lastLiteral.el.getAttribute('aria-posinset')).toBe('2');
+        expect(lastLiteral.el.getAttribute('aria-setsize')).toBe('3');
+      });
+
+      it('should only let the selected node be tabbed to', function() {
+        let tabStops = () => this.cm.getWrapperElement().querySelectorAll('.blocks-node[tabindex="0"]');
+        expect(tabStops().length).toBe(1);
+        expect(tabStops()[0]).toBe(this.expression.el);
+        this.expression.args[0].el.dispatchEvent(click());
+        expect(tabStops().length).toBe(1);
+        expect(tabStops()[0]).toBe(this.expression.args[0].el);
+      });
+
+      it('should select nodes that get focus by being tabbed to', function() {
+        this.expression.el.focus();
+        expect(this.blocks.selectedNodeIds).toEqual([this.expression.id]);
+        expect(this.blocks.announcer.textContent).toBe('(+ 1 2), 1 of 2');
+      });
+    });
+
+    describe('when collapsing nodes,', function() {
+      beforeEach(function() {
+        this.blocks.setBlockMode(true);
+        this.cm.setValue('(+ 1 2)\n54');
+        this.expression = this.blocks.ast.rootNodes[0];
+        this.summary = el => el.querySelector('.blocks-summary');
+      });
+
+      it('should show a summary in place of what is inside the node', function() {
+        expect(this.blocks.collapseNode(this.expression)).toBe(true);
+        let el = this.expression.el;
+        expect(el.classList).toContain('blocks-collapsed');
+        expect(el.getAttribute('aria-expanded')).toBe('false');
+        expect(this.summary(el).textContent).toBe('+ (2 arguments)');
+        expect(this.blocks.isNodeHidden(this.expression)).toBe(false);
+        expect(this.blocks.isNodeHidden(this.expression.args[0])).toBe(true);
+        expect(this.blocks.expandNode(this.expression)).toBe(true);
+        expect(el.classList).not.toContain('blocks-collapsed');
+        expect(el.getAttribute('aria-expanded')).toBe('true');
+        expect(this.summary(el)).toBe(null);
+      });
+
+      it('should not collapse nodes with nothing inside of them', function() {
+        expect(this.blocks.collapseNode(this.blocks.ast.rootNodes[1])).toBe(false);
+        expect(this.blocks.ast.rootNodes[1].el.classList).not.toContain('blocks-collapsed');
+      });
+
+      it('should keep nodes collapsed when they get rendered again', function() {
+        this.blocks.collapseNode(this.expression);
+        this.cm.replaceRange('3', this.expression.args[1].from, this.expression.args[1].to);
+        let expression = this.blocks.ast.rootNodes[0];
+        expect(expression).not.toBe(this.expression);
+        expect(expression.el.classList).toContain('blocks-collapsed');
+        this.blocks.render();
+        expect(this.blocks.ast.rootNodes[0].el.classList).toContain('blocks-collapsed');
+      });
+
+      it('should collapse and expand the selected node with the keyboard', function() {
+        this.expression.el.dispatchEvent(click());
+        this.expression.el.dispatchEvent(keydown(67, {altKey: true})); // Alt-C
+        expect(this.blocks.isNodeCollapsed(this.expression)).toBe(true);
+        expect(this.blocks.announcer.textContent).toBe('collapsed (+ 1 2)');
+        this.expression.el.dispatchEvent(keydown(40)); // down
+        expect(this.blocks.announcer.textContent).toBe('This block is collapsed');
+        expect(document.activeElement).toBe(this.expression.el);
+        this.expression.el.dispatchEvent(keydown(69, {altKey: true})); // Alt-E
+        expect(this.blocks.isNodeCollapsed(this.expression)).toBe(false);
+        expect(this.blocks.announcer.textContent).toBe('expanded (+ 1 2)');
+      });
+
+      it('should toggle a node when it gets double clicked', function() {
+        this.expression.el.dispatchEvent(dblclick());
+        expect(this.blocks.isNodeCollapsed(this.expression)).toBe(true);
+        this.summary(this.expression.el).dispatchEvent(dblclick());
+        expect(this.blocks.isNodeCollapsed(this.expression)).toBe(false);
+      });
+
+      it('should select the collapsed node if something inside of it was selected', function() {
+        this.expression.args[0].el.dispatchEvent(click());
+        this.blocks.collapseNode(this.expression);
+        expect(document.activeElement).toBe(this.expression.el);
+        expect(this.blocks.selectedNodeIds).toEqual([this.expression.id]);
+      });
+    });
+
+    describe('when finding nodes,', function() {
+      beforeEach(function() {
+        this.blocks.setBlockMode(true);
+        this.cm.setValue('(+ 1 12) (sqrt (+ 21 1)) 1');
+        this.sqrt = this.blocks.ast.rootNodes[1];
+        this.values = nodes => nodes.map(node => node.value);
+        this.highlighted = () => this.cm.getWrapperElement().querySelectorAll('.blocks-match');
+      });
+
+      it('should match the values of literals', function() {
+        expect(this.values(this.blocks.findMatches('1'))).toEqual([1, 12, 21, 1, 1]);
+        expect(this.values(this.blocks.findMatches('1', {wholeSymbol: true}))).toEqual([1, 1, 1]);
+        expect(this.values(this.blocks.findMatches('+', {dataType: 'symbol'}))).toEqual(['+', '+']);
+        expect(this.values(this.blocks.findMatches('+', {dataType: ['number']}))).toEqual([]);
+        expect(this.values(this.blocks.findMatches('SQRT'))).toEqual(['sqrt']);
+        expect(this.values(this.blocks.findMatches('SQRT', {caseSensitive: true}))).toEqual([]);
+        expect(this.values(this.blocks.findMatches(/^\d$/))).toEqual([1, 1, 1]);
+        expect(this.values(this.blocks.findMatches(/1/g))).toEqual([1, 12, 21, 1, 1]);
+      });
+
+      it('should leave out matches that did not get rendered', function() {
+        let inner = this.sqrt.args[0];
+        inner.args[0].el = null;
+        let matches = this.blocks.startFinding('21');
+        expect(matches).toEqual([]);
+        expect(this.blocks.announcer.textContent).toBe('Nothing matches 21');
+        expect(() => this.blocks.revealNode(inner.args[0])).not.toThrow();
+      });
+
+      it('should ask what to find on ctrl-f', function() {
+        spyOn(window, 'prompt').and.returnValue('sqrt');
+        this.cm.getWrapperElement().dispatchEvent(keydown(70, {ctrlKey: true}));
+        expect(window.prompt).toHaveBeenCalledWith('Find blocks:', '');
+        expect(document.activeElement).toBe(this.sqrt.func.el);
+      });
+
+      it('should ask what to find in a dialog if there is one', function() {
+        let close = jasmine.createSpy('close');
+        this.cm.openDialog = jasmine.createSpy('openDialog').and.returnValue(close);
+        this.blocks.promptToFind();
+        let [template, callback] = this.cm.openDialog.calls.mostRecent().args;
+        expect(template.textContent).toContain('Find blocks:');
+        callback('sqrt');
+        expect(close).toHaveBeenCalled();
+        expect(document.activeElement).toBe(this.sqrt.func.el);
+      });
+
+      it('should highlight the matches and step through them', function() {
+        let matches = this.blocks.startFinding('1', {wholeSymbol: true});
+        expect(this.highlighted().length).toBe(3);
+        expect(document.activeElement).toBe(matches[0].el);
+        expect(this.blocks.announcer.textContent).toBe('1, match 1 of 3');
+        this.blocks.findNext();
+        expect(document.activeElement).toBe(matches[1].el);
+        this.blocks.findPrev();
+        this.blocks.findPrev();
+        expect(document.activeElement).toBe(matches[2].el);
+        expect(this.blocks.announcer.textContent).toBe('1, match 3 of 3');
+        this.blocks.stopFinding();
+        expect(this.highlighted().length).toBe(0);
+      });
+
+      it('should say when nothing matches', function() {
+        expect(this.blocks.startFinding('7')).toEqual([]);
+        expect(this.blocks.announcer.textContent).toBe('Nothing matches 7');
+      });
+
+      it('should show matches inside of collapsed and hidden nodes', function() {
+        let inner = this.sqrt.args[0];
+        this.blocks.collapseNode(this.sqrt);
+        inner.el.classList.add('blocks-hidden');
+        this.blocks.startFinding('21');
+        expect(this.blocks.isNodeCollapsed(this.sqrt)).toBe(false);
+        expect(inner.el.classList).not.toContain('blocks-hidden');
+        expect(document.activeElement).toBe(inner.args[0].el);
+      });
+
+      it('should keep the matches up to date as the document changes', function() {
+        this.blocks.startFinding('1');
+        let twelve = this.blocks.ast.rootNodes[0].args[1];
+        this.cm.replaceRange('3', twelve.from, twelve.to);
+        expect(this.highlighted().length).toBe(4);
+        expect(this.blocks.ast.rootNodes[0].args[0].el.classList).toContain('blocks-match');
+      });
+
+      it('should step through the matches with the keyboard', function() {
+        let matches = this.blocks.startFinding('+');
+        matches[0].el.dispatchEvent(keydown(114)); // F3
+        expect(document.activeElement).toBe(matches[1].el);
+        matches[1].el.dispatchEvent(keydown(114, {shiftKey: true}));
+        expect(document.activeElement).toBe(matches[0].el);
+        matches[0].el.dispatchEvent(keydown(27)); // Esc
+        expect(this.blocks.search).toBe(null);
+        expect(this.highlighted().length).toBe(0);
+      });
+    });
+
+    describe('when a focused node gets re-rendered,', function() {
+      beforeEach(function() {
+        this.blocks.setBlockMode(true);
+        this.cm.setValue('(+ 1 2) 54');
+        this.expression = this.blocks.ast.rootNodes[0];
+        this.secondArg = this.expression.args[1];
+        this.secondArg.el.dispatchEvent(click());
+      });
+
+      it('should keep the same id for the node', function() {
+        this.cm.replaceRange('3', this.expression.args[0].from, this.expression.args[0].to);
+        let secondArg = this.blocks.ast.rootNodes[0].args[1];
+        expect(secondArg).not.toBe(this.secondArg);
+        expect(secondArg.id).toBe(this.secondArg.id);
+      });
+
+      it('should give focus back to the node', function() {
+        this.cm.replaceRange('3', this.expression.args[0].from, this.expression.args[0].to);
+        let secondArg = this.blocks.ast.rootNodes[0].args[1];
+        expect(document.activeElement).toBe(secondArg.el);
+        expect(this.blocks.getSelectedNode()).toBe(secondArg);
+      });
+
+      it('should give focus back to the node after an undo', function() {
+        this.cm.replaceRange('3', this.expression.args[0].from, this.expression.args[0].to);
+        this.cm.undo();
+        expect(this.cm.getValue()).toBe('(+ 1 2) 54');
+        expect(this.blocks.getSelectedNode().id).toBe(this.secondArg.id);
+      });
+    });
+
     it('should unrender itself when block mode is turned off', function() {
       this.blocks.setBlockMode(true);
       this.cm.setValue('1');
@@ -241,6 +560,147 @@ describe('The CodeMirrorBlocks Class', function() {
     });
   });
 
+  describe('transactions,', function() {
+    beforeEach(function() {
+      this.cm.setValue('(+ 1 2 3)');
+      this.blocks.setBlockMode(true);
+      this.expression = this.blocks.ast.rootNodes[0];
+      this.args = this.expression.args;
+    });
+
+    it('should replace a node with text, or with a copy of another node', function() {
+      this.blocks.replaceNode(this.args[0], '(* 4 5)');
+      expect(this.cm.getValue()).toBe('(+ (* 4 5) 2 3)');
+      let args = this.blocks.ast.rootNodes[0].args;
+      this.blocks.replaceNode(args[2], args[0]);
+      expect(this.cm.getValue()).toBe('(+ (* 4 5) 2 (* 4 5))');
+    });
+
+    it('should print nodes that are not in the ast when inserting them', function() {
+      let literal = new Literal({line: 0, ch: 0}, {line: 0, ch: 0}, 4, 'number');
+      this.blocks.insertChild(this.expression, 2, literal);
+      expect(this.cm.getValue()).toBe('(+ 1 4 2 3)');
+    });
+
+    // the function being called is the first child of an expression
+    it('should insert children before, after and between existing children', function() {
+      this.blocks.insertChild(this.expression, 4, '4');
+      expect(this.cm.getValue()).toBe('(+ 1 2 3 4)');
+      this.blocks.insertChild(null, 0, '0');
+      expect(this.cm.getValue()).toBe('0\n(+ 1 2 3 4)');
+      this.blocks.insertChild(null, 2, '5');
+      expect(this.cm.getValue()).toBe('0\n(+ 1 2 3 4)\n5');
+    });
+
+    it('should only move nodes together that have the same parent', function() {
+      this.cm.setValue('(+ 1 2) 3');
+      let [expression, literal] = this.blocks.ast.rootNodes;
+      expect(() => this.blocks.moveNodes([expression.args[1], literal], {line: 0, ch: 0}))
+        .toThrowError('Only nodes that have the same parent can be edited together');
+    });
+
+    it('should insert children into empty nodes before the closing bracket', function() {
+      this.cm.setValue('(f)');
+      this.blocks.insertChild(this.blocks.ast.rootNodes[0], 1, '1');
+      expect(this.cm.getValue()).toBe('(f 1)');
+    });
+
+    it('should remove nodes', function() {
+      this.blocks.removeNode(this.args[1]);
+      expect(this.cm.getValue()).toBe('(+ 1 3)');
+    });
+
+    it('should not leave extra space behind when removing nodes', function() {
+      this.blocks.removeNode(this.args[2]);
+      expect(this.cm.getValue()).toBe('(+ 1 2)');
+      this.cm.setValue('(+ 1\n   2)\n(f 3)\n4');
+      this.blocks.removeNode(this.blocks.ast.rootNodes[0].args[1]);
+      expect(this.cm.getValue()).toBe('(+ 1)\n(f 3)\n4');
+      this.blocks.removeNode(this.blocks.ast.rootNodes[1]);
+      expect(this.cm.getValue()).toBe('(+ 1)\n4');
+      this.blocks.removeNode(this.blocks.ast.rootNodes[1]);
+      expect(this.cm.getValue()).toBe('(+ 1)');
+    });
+
+    it('should space out nodes inserted at a position', function() {
+      this.blocks.willInsertNode = null;
+      this.blocks.moveNode(this.args[0], {line: 0, ch: 8});
+      expect(this.cm.getValue()).toBe('(+ 2 3 1)');
+      this.blocks.applyEdits([this.blocks.getInsertEdit({line: 0, ch: 3}, '(f)')]);
+      expect(this.cm.getValue()).toBe('(+ (f) 2 3 1)');
+    });
+
+    it('should ask the parser which tokens need spaces between them', function() {
+      this.blocks.willInsertNode = null;
+      this.parser.needsSpaceBetween = () => false;
+      this.blocks.applyEdits([this.blocks.getInsertEdit({line: 0, ch: 6}, '4')]);
+      expect(this.cm.getValue()).toBe('(+ 1 24 3)');
+    });
+
+    it('should keep the shape of nodes that span several lines', function() {
+      this.cm.setValue('(f 1\n   (g 2\n      3))\n(hh 0)');
+      let g = this.blocks.ast.rootNodes[0].args[1];
+      this.blocks.moveNode(g, this.blocks.ast.rootNodes[1].args[0]);
+      expect(this.cm.getValue()).toBe('(f 1)\n(hh (g 2\n       3))');
+    });
+
+    it('should move nodes in a single undoable step', function() {
+      this.blocks.moveNode(this.args[0], {parent: this.expression, index: 4});
+      expect(this.cm.getValue()).toBe('(+ 2 3 1)');
+      this.cm.undo();
+      expect(this.cm.getValue()).toBe('(+ 1 2 3)');
+    });
+
+    it('should move nodes onto other nodes', function() {
+      this.blocks.moveNode(this.args[2], this.args[0]);
+      expect(this.cm.getValue()).toBe('(+ 3 2)');
+    });
+
+    it('should not move nodes into themselves', function() {
+      spyOn(this.cm, 'replaceRange');
+      expect(() => this.blocks.moveNode(this.expression, this.args[0])).toThrow();
+      expect(() => this.blocks.moveNode(this.expression, {line: 0, ch: 3})).toThrow();
+      this.blocks.moveNode(this.args[0], this.args[0].to);
+      expect(this.cm.replaceRange).not.toHaveBeenCalled();
+    });
+
+    it('should wrap nodes in a new expression, with blanks to fill in', function() {
+      this.blocks.wrapNode(this.args[0]);
+      expect(this.cm.getValue()).toBe('(+ (... 1) 2 3)');
+      let args = this.blocks.ast.rootNodes[0].args;
+      this.blocks.wrapNode(args[2], new Primitive(this.parser, 'expt', {argumentTypes: ['Number', 'Number']}));
+      expect(this.cm.getValue()).toBe('(+ (... 1) 2 (expt 3 ...))');
+    });
+
+    it('should unwrap nodes, keeping their first argument or the given child', function() {
+      this.blocks.unwrapNode(this.expression, this.args[1]);
+      expect(this.cm.getValue()).toBe('2');
+      this.cm.setValue('(+ 1 2 3)');
+      this.blocks.unwrapNode(this.blocks.ast.rootNodes[0]);
+      expect(this.cm.getValue()).toBe('1');
+      expect(() => this.blocks.unwrapNode(this.blocks.ast.rootNodes[0])).toThrowError(/unwrapped/);
+    });
+
+    it('should wrap and unwrap the selected node from the keyboard', function() {
+      this.args[0].el.dispatchEvent(click());
+      this.blocks.selectPrimitive(new Primitive(this.parser, 'sqrt', {argumentTypes: ['Number']}));
+      this.args[0].el.dispatchEvent(keydown(87, {altKey: true}));
+      expect(this.cm.getValue()).toBe('(+ (sqrt 1) 2 3)');
+      let wrapped = this.blocks.ast.rootNodes[0].args[0];
+      expect(this.blocks.getSelectedNode()).toBe(wrapped);
+      wrapped.args[0].el.dispatchEvent(click());
+      wrapped.args[0].el.dispatchEvent(keydown(85, {altKey: true}));
+      expect(this.cm.getValue()).toBe('(+ 1 2 3)');
+      expect(this.blocks.getSelectedNode()).toBe(this.blocks.ast.rootNodes[0].args[0]);
+    });
+
+    it('should refuse to edit nodes that are not in the ast', function() {
+      let literal = new Literal({line: 0, ch: 0}, {line: 0, ch: 1}, 1, 'number');
+      expect(() => this.blocks.removeNode(literal)).toThrowError(/is not in the AST/);
+      expect(() => this.blocks.insertChild(this.expression, 6, '4')).toThrowError(/index 6/);
+    });
+  });
+
   describe('events,', function() {
     beforeEach(function() {
       this.cm.setValue('11');
@@ -278,7 +738,43 @@ describe('The CodeMirrorBlocks Class', function() {
         // TODO: access the bookmark itself, and make sure it was added to CM with the right contents
       });
 
-      // TODO: figure out how to fire a paste event
+      it('pasting text that parses at the cursor', function() {
+        this.cm.setCursor({line: 0, ch: 5});
+        this.cm.getInputField().dispatchEvent(paste('(+ 1 2)'));
+        expect(this.cm.getValue()).toBe('42 11 (+ 1 2)');
+        expect(this.blocks.ast.rootNodes[2].type).toBe('expression');
+      });
+
+      it('pasting text that does not parse at the cursor', function() {
+        spyOn(this.blocks, 'insertionQuarantine').and.returnValue({el: document.createElement('span')});
+        this.cm.setCursor({line: 0, ch: 5});
+        this.cm.getInputField().dispatchEvent(paste('(+ 1'));
+        expect(this.blocks.insertionQuarantine).toHaveBeenCalled();
+        expect(this.cm.getValue()).toBe('42 11');
+        expect(this.blocks.announcer.textContent).toContain('Could not paste (+ 1');
+      });
+    });
+
+    describe("when pasting onto a selected node,", function() {
+      beforeEach(function() {
+        this.cm.setValue('11 54');
+        this.literal = this.blocks.ast.rootNodes[0];
+        this.literal.el.dispatchEvent(click());
+      });
+
+      it('should replace the node with the pasted blocks', function() {
+        this.literal.el.dispatchEvent(paste('(+ 1 2)'));
+        expect(this.cm.getValue()).toBe('(+ 1 2) 54');
+        expect(this.blocks.ast.rootNodes[0].type).toBe('expression');
+        expect(this.blocks.getSelectedNode()).toBe(this.blocks.ast.rootNodes[0]);
+      });
+
+      it('should mark the node with an error if the text does not parse', function() {
+        this.literal.el.dispatchEvent(paste('(+ 1'));
+        expect(this.cm.getValue()).toBe('11 54');
+        expect(this.literal.el.classList).toContain('blocks-error');
+        expect(this.blocks.announcer.textContent).toContain('Could not paste (+ 1');
+      });
     });
 
 
@@ -307,7 +803,8 @@ describe('The CodeMirrorBlocks Class', function() {
         this.literal.el.dispatchEvent(click());
         expect(this.blocks.getSelectedNode()).toBe(this.literal);
         this.cm.getWrapperElement().dispatchEvent(keydown(8));
-        expect(this.cm.getValue()).toBe(' 54');
+        expect(this.cm.getValue()).toBe('54');
+        expect(this.blocks.announcer.textContent).toBe('deleted 11');
       });
 
       it('should select the first node when tab is pressed', function() {
@@ -315,11 +812,14 @@ describe('The CodeMirrorBlocks Class', function() {
         expect(this.blocks.getSelectedNode()).toBe(this.literal);
       });
 
-      it('should select the next node when tab is pressed', function() {
-        this.cm.getWrapperElement().dispatchEvent(keydown(9));
+      it('should let tab leave the editor once a node is selected', function() {
         this.cm.getWrapperElement().dispatchEvent(keydown(9));
-        expect(this.blocks.getSelectedNode()).not.toBe(this.literal);
-        expect(this.blocks.getSelectedNode()).toBe(this.literal2);
+        for (let event of [keydown(9), keydown(9, {shiftKey: true})]) {
+          spyOn(event, 'preventDefault');
+          this.literal.el.dispatchEvent(event);
+          expect(event.preventDefault).not.toHaveBeenCalled();
+          expect(this.blocks.getSelectedNode()).toBe(this.literal);
+        }
       });
 
       it('should select the node after the cursor when tab is pressed', function() {
@@ -341,13 +841,6 @@ describe('The CodeMirrorBlocks Class', function() {
         expect(this.blocks.getSelectedNode()).toBe(this.literal2);
       });
 
-      it('should select the previous node when shift-tab is pressed', function() {
-        this.cm.getWrapperElement().dispatchEvent(keydown(9, {shiftKey:true}));
-        this.cm.getWrapperElement().dispatchEvent(keydown(9, {shiftKey:true}));
-        expect(this.blocks.getSelectedNode()).not.toBe(this.literal2);
-        expect(this.blocks.getSelectedNode()).toBe(this.literal);
-      });
-
       it('should toggle the editability of selected node when Enter is pressed', function() {
         this.cm.getWrapperElement().dispatchEvent(keydown(9));
         expect(this.blocks.getSelectedNode()).toBe(this.literal);
@@ -375,24 +868,177 @@ describe('The CodeMirrorBlocks Class', function() {
         expect(this.cm.execCommand).toHaveBeenCalledWith('undo');
       });
 
+      describe('when selecting several nodes,', function() {
+        beforeEach(function() {
+          this.cm.setValue('11 54 7');
+          this.literal = this.blocks.ast.rootNodes[0];
+          this.literal2 = this.blocks.ast.rootNodes[1];
+          this.literal3 = this.blocks.ast.rootNodes[2];
+          this.literal.el.dispatchEvent(click());
+        });
+
+        it('should select every sibling up to a node that is shift-clicked', function() {
+          this.literal3.el.dispatchEvent(click({shiftKey: true}));
+          expect(this.blocks.getSelectedNodes()).toEqual([this.literal, this.literal2, this.literal3]);
+          expect(this.literal2.el.classList).toContain('blocks-selected');
+          expect(this.blocks.announcer.textContent).toBe('3 blocks selected');
+        });
+
+        it('should extend the selection with shift and the arrow keys', function() {
+          this.literal.el.dispatchEvent(keydown(39, {shiftKey: true}));
+          expect(this.blocks.getSelectedNodes()).toEqual([this.literal, this.literal2]);
+          this.literal2.el.dispatchEvent(keydown(37, {shiftKey: true}));
+          expect(this.blocks.getSelectedNodes()).toEqual([this.literal]);
+        });
+
+        it('should go back to selecting one node on a plain click', function() {
+          this.literal2.el.dispatchEvent(click({shiftKey: true}));
+          this.literal3.el.dispatchEvent(click());
+          expect(this.blocks.getSelectedNodes()).toEqual([this.literal3]);
+          expect(this.literal.el.classList).not.toContain('blocks-selected');
+        });
+
+        it('should delete all of the selected nodes at once', function() {
+          this.literal2.el.dispatchEvent(click({shiftKey: true}));
+          this.cm.getWrapperElement().dispatchEvent(keydown(8));
+          expect(this.cm.getValue()).toBe('7');
+          this.cm.undo();
+          expect(this.cm.getValue()).toBe('11 54 7');
+        });
+      });
+
+      describe('when undoing and redoing,', function() {
+        beforeEach(function() {
+          this.literal.el.dispatchEvent(click());
+          this.cm.getWrapperElement().dispatchEvent(keydown(8));
+        });
+
+        it('should keep block edits as named history entries', function() {
+          expect(this.blocks.history.done.map(entry => entry.name)).toEqual(['delete']);
+          this.cm.undo();
+          expect(this.blocks.history.done).toEqual([]);
+          expect(this.blocks.history.undone.map(entry => entry.name)).toEqual(['delete']);
+        });
+
+        it('should give focus back to the affected node and say what was undone', function() {
+          this.cm.undo();
+          expect(this.cm.getValue()).toBe('11 54');
+          expect(this.blocks.getSelectedNode().from).toEqual({line: 0, ch: 0});
+          expect(this.blocks.announcer.textContent).toBe('undid delete of 11');
+          this.cm.redo();
+          expect(this.cm.getValue()).toBe('54');
+          expect(this.blocks.announcer.textContent).toBe('redid delete of 11');
+        });
+
+        it('should leave changes to the text out of the block history', function() {
+          this.cm.replaceRange('7', {line: 0, ch: 0});
+          this.cm.undo();
+          expect(this.blocks.history.done.map(entry => entry.name)).toEqual(['delete']);
+          expect(this.blocks.announcer.textContent).not.toContain('undid');
+        });
+      });
+
       describe('cut/copy', function() {
         beforeEach(function() {
           this.literal.el.dispatchEvent(click());
-          spyOn(document, 'execCommand');
         });
 
         it('should remove selected nodes on cut', function() {
-          document.dispatchEvent(cut());
-          expect(this.cm.getValue()).toBe(' 54');
-          expect(document.execCommand).toHaveBeenCalledWith('cut');
+          this.literal.el.dispatchEvent(cut());
+          expect(this.cm.getValue()).toBe('54');
+        });
+
+        it('should put the text and the nodes being copied on the clipboard', function() {
+          let event = copy();
+          this.literal.el.dispatchEvent(event);
+          expect(event.defaultPrevented).toBe(true);
+          expect(event.clipboardData.getData('text/plain')).toBe('11');
+          let fragment = JSON.parse(event.clipboardData.getData('application/x-codemirror-blocks+json'));
+          expect(fragment.map(data => data.type)).toEqual(['literal']);
+        });
+
+        it('should paste copied nodes as the text they were copied from', function() {
+          let nodes = this.parser.parse('(+ 1\n   2)').rootNodes;
+          this.literal.el.dispatchEvent(clipboardEvent('paste', {
+            'text/plain': '(+ 1\n   2)',
+            'application/x-codemirror-blocks+json': JSON.stringify(nodes.map(node => node.toJSON()))
+          }));
+          expect(this.cm.getValue()).toBe('(+ 1\n   2) 54');
+        });
+
+        it('should print copied nodes that come without their text', function() {
+          let nodes = this.parser.parse('(+ 1\n   2)').rootNodes;
+          this.literal.el.dispatchEvent(clipboardEvent('paste', {
+            'application/x-codemirror-blocks+json': JSON.stringify(nodes.map(node => node.toJSON()))
+          }));
+          expect(this.cm.getValue()).toBe('(+ 1 2) 54');
         });
 
-        xit('should create an activeElement with the text to be copied', function() {
-          // TODO: figure out how to test this.
+        it('should only handle clipboard events for its own nodes', function() {
+          document.body.insertAdjacentHTML('beforeend', '<textarea id="other"></textarea>');
+          let otherCM = CodeMirror.fromTextArea(document.getElementById('other'));
+          let other = new CodeMirrorBlocks(otherCM, this.parser);
+          other.setBlockMode(true);
+          otherCM.setValue('7');
+          other.ast.rootNodes[0].el.dispatchEvent(click());
+          let event = copy();
+          other.ast.rootNodes[0].el.dispatchEvent(event);
+          expect(event.clipboardData.getData('text/plain')).toBe('7');
+          this.literal.el.dispatchEvent(click());
+          this.literal.el.dispatchEvent(clipboardEvent('paste', event.clipboardData.data));
+          expect(this.cm.getValue()).toBe('7 54');
+          expect(otherCM.getValue()).toBe('7');
         });
       });
     });
 
+    describe('when navigating with the arrow keys,', function() {
+      beforeEach(function() {
+        this.cm.setValue('(+ 1 (* 2 3)) 4');
+        this.expression = this.blocks.ast.rootNodes[0];
+        this.inner = this.expression.args[1];
+        this.inner.el.dispatchEvent(click());
+      });
+
+      it('should select the parent of the selected node on up', function() {
+        this.inner.el.dispatchEvent(keydown(38));
+        expect(this.blocks.getSelectedNode()).toBe(this.expression);
+      });
+
+      it('should select the first child of the selected node on down', function() {
+        this.inner.el.dispatchEvent(keydown(40));
+        expect(this.blocks.getSelectedNode()).toBe(this.inner.func);
+      });
+
+      it('should select siblings of the selected node on left and right', function() {
+        this.inner.el.dispatchEvent(keydown(37));
+        expect(this.blocks.getSelectedNode()).toBe(this.expression.args[0]);
+        this.expression.args[0].el.dispatchEvent(keydown(39));
+        expect(this.blocks.getSelectedNode()).toBe(this.inner);
+      });
+
+      it('should select the first and last top level nodes on home and end', function() {
+        this.inner.el.dispatchEvent(keydown(35));
+        expect(this.blocks.getSelectedNode()).toBe(this.blocks.ast.rootNodes[1]);
+        this.blocks.ast.rootNodes[1].el.dispatchEvent(keydown(36));
+        expect(this.blocks.getSelectedNode()).toBe(this.expression);
+      });
+
+      it('should announce each move', function() {
+        this.inner.el.dispatchEvent(keydown(38));
+        expect(this.blocks.announcer.textContent).toBe('(+ 1 (* 2 3)), 1 of 2');
+      });
+
+      it('should stay put and say why when there is nowhere to go', function() {
+        this.inner.el.dispatchEvent(keydown(39));
+        expect(this.blocks.getSelectedNode()).toBe(this.inner);
+        expect(this.blocks.announcer.textContent).toBe('This is the last block here');
+        this.inner.el.dispatchEvent(keydown(38, {shiftKey: true}));
+        expect(this.blocks.getSelectedNode()).toBe(this.inner);
+        expect(this.blocks.announcer.textContent).toBe('This block is not inside of a definition');
+      });
+    });
+
     it('should begin editing a node on double click', function() {
       this.literal.el.dispatchEvent(dblclick());
       expect(this.literal.el.classList).toContain('blocks-editing');
@@ -446,6 +1092,10 @@ describe('The CodeMirrorBlocks Class', function() {
         expect(this.literal.el.title).toBe('Error: bad input');
       });
 
+      it('should announce the parse error', function() {
+        expect(this.blocks.announcer.textContent).toMatch(/is not valid: Error: bad input$/);
+      });
+
       it('should set hasInvalidEdit to true', function() {
         expect(this.blocks.hasInvalidEdit).toBe(true);
       });
@@ -580,6 +1230,30 @@ describe('The CodeMirrorBlocks Class', function() {
         }
       );
 
+      it('should pass willInsertNode the dragged node and the node it was dropped onto', function() {
+        let expression = this.blocks.ast.rootNodes[0];
+        let dragEvent = dragstart();
+        spyOn(this.blocks, 'willInsertNode').and.callThrough();
+        this.secondArg.el.dispatchEvent(dragEvent);
+        this.dropTargetEls[0].dispatchEvent(drop(dragEvent.dataTransfer));
+        expect(this.blocks.willInsertNode).toHaveBeenCalledWith(
+          jasmine.any(String), this.secondArg, jasmine.any(Object), expression);
+      });
+
+      it('should pass willInsertNode the node being inserted from elsewhere', function() {
+        let expression = this.blocks.ast.rootNodes[0];
+        let literal = new Literal({line: 0, ch: 0}, {line: 0, ch: 1}, 7, 'number');
+        let dragEvent = dragstart();
+        dragEvent.dataTransfer.setData('text/plain', '7');
+        dragEvent.dataTransfer.setData('text/json', JSON.stringify(literal));
+        spyOn(this.blocks, 'willInsertNode').and.callThrough();
+        this.dropTargetEls[0].dispatchEvent(drop(dragEvent.dataTransfer));
+        let [, sourceNode, , destinationNode] = this.blocks.willInsertNode.calls.mostRecent().args;
+        expect(sourceNode).toEqual(jasmine.any(Literal));
+        expect(sourceNode.value).toBe(7);
+        expect(destinationNode).toBe(expression);
+      });
+
       it('should move an item to the top level when dragged outside a node', function() {
         let dragEvent = dragstart();
         this.secondArg.el.dispatchEvent(dragEvent);
@@ -589,7 +1263,226 @@ describe('The CodeMirrorBlocks Class', function() {
         dropEvent.pageX = wrapperEl.offsetLeft + wrapperEl.offsetWidth - 10;
         dropEvent.pageY = nodeEl.offsetTop + wrapperEl.offsetHeight - 10;
         nodeEl.parentElement.dispatchEvent(dropEvent);
-        expect(this.cm.getValue().replace('  ', ' ')).toBe('(+ 1 3)\n2');
+        expect(this.cm.getValue()).toBe('(+ 1 3)\n2');
+      });
+
+      it('should move all of the selected nodes when one of them is dragged', function() {
+        this.firstArg.el.dispatchEvent(click());
+        this.secondArg.el.dispatchEvent(click({shiftKey: true}));
+        let dragEvent = dragstart();
+        this.firstArg.el.dispatchEvent(dragEvent);
+        this.dropTargetEls[3].dispatchEvent(drop(dragEvent.dataTransfer));
+        expect(this.cm.getValue()).toBe('(+ 3 1 2)');
+      });
+
+      it('should give focus back to a moved node when the move is undone', function() {
+        let dragEvent = dragstart();
+        this.firstArg.el.dispatchEvent(dragEvent);
+        this.dropTargetEls[2].dispatchEvent(drop(dragEvent.dataTransfer));
+        this.cm.undo();
+        expect(this.cm.getValue()).toBe('(+ 1 2 3)');
+        expect(this.blocks.getSelectedNode().from).toEqual({line: 0, ch: 3});
+        expect(this.blocks.announcer.textContent).toBe('undid move of 1');
+      });
+
+      it('should give focus back to a moved node where it went when the move is redone', function() {
+        this.firstArg.el.dispatchEvent(click());
+        let dragEvent = dragstart();
+        this.firstArg.el.dispatchEvent(dragEvent);
+        this.dropTargetEls[2].dispatchEvent(drop(dragEvent.dataTransfer));
+        this.cm.undo();
+        this.blocks.ast.rootNodes[0].args[2].el.dispatchEvent(click());
+        this.cm.redo();
+        expect(this.cm.getValue()).toBe('(+ 2 1 3)');
+        expect(this.blocks.getSelectedNode().from).toEqual({line: 0, ch: 5});
+        expect(this.blocks.announcer.textContent).toBe('redid move of 1');
+      });
+
+      it('should copy instead of moving when alt or ctrl is held down', function() {
+        let dragEvent = dragstart();
+        this.firstArg.el.dispatchEvent(dragEvent);
+        let dropEvent = drop(dragEvent.dataTransfer);
+        dropEvent.altKey = true;
+        this.dropTargetEls[3].dispatchEvent(dropEvent);
+        expect(this.cm.getValue().replace(/\s+/g, ' ')).toBe('(+ 1 2 3 1)');
+      });
+
+      it('should show whether a drop copies or moves', function() {
+        let dragEvent = dragstart();
+        this.firstArg.el.dispatchEvent(dragEvent);
+        let dragOverEvent = new CustomEvent('dragover', {bubbles: true});
+        dragOverEvent.dataTransfer = dragEvent.dataTransfer;
+        dragOverEvent.ctrlKey = true;
+        this.dropTargetEls[3].dispatchEvent(dragOverEvent);
+        expect(dragEvent.dataTransfer.dropEffect).toBe('copy');
+        expect(this.cm.getWrapperElement().classList).toContain('blocks-copying');
+      });
+
+      it('should announce where dropped nodes went', function() {
+        let dragEvent = dragstart();
+        this.secondArg.el.dispatchEvent(dragEvent);
+        this.dropTargetEls[0].dispatchEvent(drop(dragEvent.dataTransfer));
+        expect(this.blocks.announcer.textContent).toBe('moved 2 into first argument of +');
+        dragEvent = dragstart();
+        this.blocks.ast.rootNodes[0].args[0].el.dispatchEvent(dragEvent);
+        dragEvent.altKey = true;
+        let dropEvent = drop(dragEvent.dataTransfer);
+        dropEvent.altKey = true;
+        this.blocks.ast.rootNodes[0].args[2].el.dispatchEvent(dropEvent);
+        expect(this.blocks.announcer.textContent).toBe('copied 2 into third argument of +');
+      });
+
+      it('should delete nodes that are dropped onto the trash', function() {
+        let dragEvent = dragstart();
+        this.secondArg.el.dispatchEvent(dragEvent);
+        this.blocks.dropOntoTrash(drop(dragEvent.dataTransfer));
+        expect(this.cm.getValue()).toBe('(+ 1 3)');
+        expect(this.blocks.announcer.textContent).toBe('deleted 2');
+      });
+
+      it('should leave the trash alone while not in block mode', function() {
+        let dragEvent = dragstart();
+        this.secondArg.el.dispatchEvent(dragEvent);
+        this.blocks.announce('');
+        this.blocks.setBlockMode(false);
+        this.blocks.dropOntoTrash(drop(dragEvent.dataTransfer));
+        expect(this.cm.getValue()).toBe('(+ 1 2 3)');
+        expect(this.blocks.announcer.textContent).toBe('');
+      });
+
+      describe('with the keyboard,', function() {
+        beforeEach(function() {
+          this.firstArg.el.dispatchEvent(click());
+          this.firstArg.el.dispatchEvent(keydown(32));
+        });
+
+        it('should pick up the selected node', function() {
+          expect(this.blocks.held.nodes).toEqual([this.firstArg]);
+          expect(this.firstArg.el.classList).toContain('blocks-dragging');
+          expect(this.blocks.announcer.textContent).toMatch(/^picked up 1/);
+        });
+
+        it('should go through the drop targets and announce each of them', function() {
+          this.firstArg.el.dispatchEvent(keydown(39));
+          this.firstArg.el.dispatchEvent(keydown(39));
+          expect(this.dropTargetEls[2].classList).toContain('blocks-over-target');
+          expect(this.dropTargetEls[1].classList).not.toContain('blocks-over-target');
+          expect(this.blocks.announcer.textContent).toBe('before 3, in (+ 1 2 3)');
+          this.firstArg.el.dispatchEvent(keydown(37));
+          this.firstArg.el.dispatchEvent(keydown(37));
+          expect(this.dropTargetEls[0].classList).toContain('blocks-over-target');
+          this.firstArg.el.dispatchEvent(keydown(37));
+          expect(this.blocks.announcer.textContent).toBe('There is nowhere else to drop this');
+        });
+
+        it('should drop the node onto the chosen drop target', function() {
+          spyOn(this.blocks, 'dropOntoNode').and.callThrough();
+          this.firstArg.el.dispatchEvent(keydown(39));
+          this.firstArg.el.dispatchEvent(keydown(39));
+          this.firstArg.el.dispatchEvent(keydown(13));
+          expect(this.blocks.dropOntoNode).toHaveBeenCalled();
+          expect(this.cm.getValue()).toBe('(+ 2 1 3)');
+          expect(this.blocks.held).toBe(null);
+          expect(this.blocks.announcer.textContent).toBe('moved 1 into second argument of +');
+        });
+
+        it('should put the node back when cancelled', function() {
+          this.firstArg.el.dispatchEvent(keydown(39));
+          this.firstArg.el.dispatchEvent(keydown(27));
+          expect(this.blocks.held).toBe(null);
+          expect(this.cm.getValue()).toBe('(+ 1 2 3)');
+          expect(this.firstArg.el.classList).not.toContain('blocks-dragging');
+          expect(this.dropTargetEls[1].classList).not.toContain('blocks-over-target');
+          expect(this.blocks.announcer.textContent).toBe('stopped moving 1');
+        });
+
+        it('should paste onto the chosen drop target instead of the picked up node', function() {
+          this.firstArg.el.dispatchEvent(keydown(39));
+          this.firstArg.el.dispatchEvent(keydown(39));
+          this.firstArg.el.dispatchEvent(paste('4'));
+          expect(this.cm.getValue()).toBe('(+ 1 2 4 3)');
+          expect(this.blocks.held).toBe(null);
+          expect(this.blocks.announcer.textContent).toBe('pasted 4');
+        });
+      });
+
+      describe('when the function being dropped into has a contract,', function() {
+        beforeEach(function() {
+          this.blocks.primitives = PrimitiveGroup.fromConfig(this.parser, {
+            name: 'root',
+            primitives: [
+              {name: 'sqrt', returnType: 'Number', argumentTypes: ['Number']},
+              {name: 'string-append', returnType: 'String', argumentTypes: ['String', 'String']}
+            ]
+          });
+          this.cm.setValue('(string-append 1 2) (sqrt 4)');
+          this.slot = this.blocks.ast.rootNodes[1].args[0];
+          this.dragEvent = dragstart();
+          this.blocks.ast.rootNodes[0].el.dispatchEvent(this.dragEvent);
+        });
+
+        it('should warn about drops that break the contract', function() {
+          this.slot.el.dispatchEvent(dragenter());
+          expect(this.slot.el.classList).toContain('blocks-type-mismatch');
+          expect(this.blocks.announcer.textContent).toBe(
+            'sqrt expects a Number here, but (string-append 1 2) is a String');
+          this.slot.el.dispatchEvent(drop(this.dragEvent.dataTransfer));
+          expect(this.cm.getValue()).toBe('(sqrt (string-append 1 2))');
+        });
+
+        it('should announce the mismatch along with the drop, through the messages', function() {
+          this.blocks.messages.withTypeMismatch = (message, mismatch) => `${message} (${mismatch})`;
+          this.slot.el.dispatchEvent(drop(this.dragEvent.dataTransfer));
+          expect(this.blocks.announcer.textContent).toBe(
+            'moved (string-append 1 2) into first argument of sqrt ' +
+            '(sqrt expects a Number here, but (string-append 1 2) is a String)');
+        });
+
+        it('should reject drops that break the contract if asked to', function() {
+          this.blocks.rejectTypeMismatches = true;
+          this.slot.el.dispatchEvent(drop(this.dragEvent.dataTransfer));
+          expect(this.cm.getValue()).toBe('(string-append 1 2) (sqrt 4)');
+          expect(this.blocks.announcer.textContent).toContain("Can't drop this here");
+        });
+
+        it('should not focus the node that was dragged when its drop gets rejected', function() {
+          this.blocks.rejectTypeMismatches = true;
+          this.slot.el.dispatchEvent(drop(this.dragEvent.dataTransfer));
+          expect(this.blocks.focusNodeId).toBeFalsy();
+        });
+
+        it('should only announce a mismatch for the nodes being moved', function() {
+          let targetEl = this.blocks.ast.rootNodes[1].el.querySelector('.blocks-drop-target');
+          targetEl.title = 'its own title';
+          let pickUp = node => {
+            node.el.dispatchEvent(click());
+            node.el.dispatchEvent(keydown(32));
+          };
+          pickUp(this.blocks.ast.rootNodes[0]);
+          this.blocks.selectDropTarget(targetEl);
+          expect(this.blocks.announcer.textContent).toContain('sqrt expects a Number');
+          this.blocks.ast.rootNodes[0].el.dispatchEvent(keydown(27));
+          let number = this.blocks.ast.rootNodes[0].args[0];
+          pickUp(number);
+          this.blocks.selectDropTarget(targetEl);
+          expect(this.blocks.announcer.textContent).toBe(
+            this.blocks.describeDropTarget(targetEl));
+          expect(this.blocks.announcer.textContent).not.toContain('its own title');
+        });
+
+        it('should take the mismatch off of the drop target afterwards', function() {
+          this.slot.el.title = 'its own title';
+          this.slot.el.dispatchEvent(dragenter());
+          expect(this.slot.el.title).toContain('sqrt expects a Number');
+          this.slot.el.dispatchEvent(dragleave());
+          expect(this.slot.el.classList).not.toContain('blocks-type-mismatch');
+          expect(this.slot.el.title).toBe('its own title');
+          this.slot.el.removeAttribute('title');
+          this.blocks.rejectTypeMismatches = true;
+          this.slot.el.dispatchEvent(dragenter());
+          this.slot.el.dispatchEvent(drop(this.dragEvent.dataTransfer));
+          expect(this.slot.el.hasAttribute('title')).toBe(false);
+        });
       });
 
       it('should replace a literal that you drag onto', function() {
@@ -42,6 +42,17 @@ describe("The WeScheme Parser,", function() {
       expect(this.ast.rootNodes[0].func.dataType).toBe('blank');
     });
 
+    it("should give every kind of number the number data type", function() {
+      let ast = this.parser.parse('1 1.5 1/2');
+      expect(ast.rootNodes.map(node => node.dataType)).toEqual(['number', 'number', 'number']);
+    });
+
+    it("should turn ... into blanks", function() {
+      this.ast = this.parser.parse('(sqrt ...)');
+      expect(this.ast.rootNodes[0].args[0].type).toBe('blank');
+      expect(this.ast.rootNodes[0].args[0].from).toEqual({line: 0, ch: 6});
+    });
+
   });
 
   describe("when parsing andExpressions and orExpression,", function() {
@@ -64,6 +75,32 @@ describe("The WeScheme Parser,", function() {
     });
   });
 
+  describe("when recording source locations,", function() {
+    it("should use the real location of and/or keywords", function() {
+      let node = this.parser.parse('(\n  and #t #f)').rootNodes[0];
+      expect(node.func.from).toEqual({line: 1, ch: 2});
+      expect(node.func.to).toEqual({line: 1, ch: 5});
+      node = this.parser.parse('( or #t #f)').rootNodes[0];
+      expect(node.func.from).toEqual({line: 0, ch: 2});
+      expect(node.func.to).toEqual({line: 0, ch: 4});
+    });
+
+    it("should turn the names and arguments of definitions into literals", function() {
+      let node = this.parser.parse('(define (f x  y) x)').rootNodes[0];
+      expect(node.name.type).toBe('literal');
+      expect(node.name.from).toEqual({line: 0, ch: 9});
+      expect(node.name.to).toEqual({line: 0, ch: 10});
+      expect(node.args.map(arg => arg.from.ch)).toEqual([11, 14]);
+      expect(node.args.map(arg => arg.value)).toEqual(['x', 'y']);
+    });
+
+    it("should record where quoted lists are", function() {
+      let node = this.parser.parse("(quote (a b))").rootNodes[0];
+      expect(node.value.from).toEqual({line: 0, ch: 7});
+      expect(node.value.to).toEqual({line: 0, ch: 12});
+    });
+  });
+
   describe("when parsing defVar expressions,", function() {
     beforeEach(function() {
       this.ast = this.parser.parse('(define foo "bar")');
@@ -71,7 +108,7 @@ describe("The WeScheme Parser,", function() {
 
     it("should convert defVar expressions to variableDef", function() {
       expect(this.ast.rootNodes[0].type).toBe('variableDef');
-      expect(this.ast.rootNodes[0].name).toBe('foo');
+      expect(this.ast.rootNodes[0].name.value).toBe('foo');
       expect(this.ast.rootNodes[0].body.type).toBe('literal');
     });
   });
@@ -120,6 +157,122 @@ describe("The WeScheme Parser,", function() {
     });
   });
 
+  describe("when parsing conditionals,", function() {
+    it("should convert if expressions to ifExpressions", function() {
+      let node = this.parser.parse('(if x 1 2)').rootNodes[0];
+      expect(node.type).toBe('ifExpression');
+      expect(node.testExpr.value).toBe('x');
+      expect(node.thenExpr.type).toBe('literal');
+      expect(node.elseExpr.type).toBe('literal');
+    });
+
+    it("should convert cond expressions to condExpressions with a clause per row", function() {
+      let node = this.parser.parse("(cond [(> x 1) 'big] [else 'small])").rootNodes[0];
+      expect(node.type).toBe('condExpression');
+      expect(node.clauses.length).toBe(2);
+      expect(node.clauses[0].type).toBe('condClause');
+      expect(node.clauses[0].from).toEqual({line: 0, ch: 6});
+      expect(node.clauses[0].to).toEqual({line: 0, ch: 20});
+      expect(node.clauses[0].testExpr.type).toBe('expression');
+      expect(node.clauses[1].testExpr.value).toBe('else');
+      expect(node.clauses[1].thenExprs[0].type).toBe('quotedExpression');
+      expect(node.options['aria-label']).toBe('cond expression, 2 clauses');
+    });
+
+    it("should convert case expressions to expressions with clauses", function() {
+      let node = this.parser.parse("(case x [(1 2) 'a])").rootNodes[0];
+      expect(node.type).toBe('expression');
+      expect(node.func.value).toBe('case');
+      expect(node.args[1].type).toBe('condClause');
+      expect(node.args[1].testExpr.value).toBe('(1 2)');
+    });
+  });
+
+  describe("when parsing lambdas and let expressions,", function() {
+    it("should convert lambdas to lambdaExpressions", function() {
+      let node = this.parser.parse('(lambda (x y) x)').rootNodes[0];
+      expect(node.type).toBe('lambdaExpression');
+      expect(node.args.map(arg => arg.value)).toEqual(['x', 'y']);
+      expect(node.body.value).toBe('x');
+    });
+
+    it("should convert every kind of let to letExpressions with bindings", function() {
+      for (let keyword of ['let', 'let*', 'letrec']) {
+        let node = this.parser.parse(`(${keyword} ([x 1] [y 2]) (+ x y))`).rootNodes[0];
+        expect(node.type).toBe('letExpression');
+        expect(node.keyword).toBe(keyword);
+        expect(node.bindings.map(binding => binding.type)).toEqual(['binding', 'binding']);
+        expect(node.bindings[1].name.value).toBe('y');
+        expect(node.bindings[1].value.type).toBe('literal');
+        expect(node.body.type).toBe('expression');
+      }
+    });
+
+    it("should convert local expressions to letExpressions with definitions", function() {
+      let node = this.parser.parse('(local [(define x 1)] x)').rootNodes[0];
+      expect(node.type).toBe('letExpression');
+      expect(node.keyword).toBe('local');
+      expect(node.bindings[0].type).toBe('variableDef');
+    });
+  });
+
+  describe("when parsing quoted expressions,", function() {
+    it("should convert quoted symbols to quotedExpressions", function() {
+      let node = this.parser.parse("'x").rootNodes[0];
+      expect(node.type).toBe('quotedExpression');
+      expect(node.keyword).toBe('quote');
+      expect(node.value.value).toBe('x');
+    });
+
+    it("should keep quoted lists as a single block of data", function() {
+      let node = this.parser.parse("'(a b (c))").rootNodes[0];
+      expect(node.value.type).toBe('literal');
+      expect(node.value.value).toBe('(a b (c))');
+    });
+
+    it("should convert quasiquoted expressions", function() {
+      let node = this.parser.parse("`(a ,b)").rootNodes[0];
+      expect(node.keyword).toBe('quasiquote');
+      expect(node.value.value).toBe('(a ,b)');
+    });
+
+    it("should not need spaces after quote marks", function() {
+      expect(this.parser.needsSpaceBetween("'", 'x')).toBe(false);
+      expect(this.parser.needsSpaceBetween(',', 'x')).toBe(false);
+      expect(this.parser.needsSpaceBetween('(', 'x')).toBe(false);
+      expect(this.parser.needsSpaceBetween('x', ')')).toBe(false);
+      expect(this.parser.needsSpaceBetween('x', "'")).toBe(true);
+    });
+  });
+
+  describe("when parsing vectors,", function() {
+    it("should convert vector literals to vectors of their elements", function() {
+      let node = this.parser.parse('#(1 "two" (+ 1 2))').rootNodes[0];
+      expect(node.type).toBe('vector');
+      expect(node.elts.map(elt => elt.type)).toEqual(['literal', 'literal', 'expression']);
+      expect(node.elts[1].from).toEqual({line: 0, ch: 4});
+      expect(node.options['aria-label']).toBe('vector, 3 elements');
+      expect(this.parser.parse('#()').rootNodes[0].elts).toEqual([]);
+    });
+
+    it("should leave calls to vector as expressions", function() {
+      expect(this.parser.parse('(vector 1 2)').rootNodes[0].type).toBe('expression');
+    });
+  });
+
+  describe("when parsing other forms,", function() {
+    it("should convert them to expressions with the keyword as their function", function() {
+      let code = '(begin 1 2) (when x 1) (require 2htdp/image) (provide f g) (define-values (a b) c)';
+      let keywords = this.parser.parse(code).rootNodes.map(node => node.func.value);
+      expect(keywords).toEqual(['begin', 'when', 'require', 'provide', 'define-values']);
+    });
+
+    it("should keep the arguments of provide statements", function() {
+      let node = this.parser.parse('(provide f g)').rootNodes[0];
+      expect(node.args.map(arg => arg.value)).toEqual(['f', 'g']);
+    });
+  });
+
   describe("parsing malformed code,", function() {
     beforeEach(function() {
       this.ast = [];
@@ -0,0 +1,171 @@
+import print from '../src/print';
+import ExampleParser from '../example/parser';
+import {
+  Binding,
+  Blank,
+  Comment,
+  CondClause,
+  CondExpression,
+  Expression,
+  FunctionDefinition,
+  IfExpression,
+  LambdaExpression,
+  LetExpression,
+  Literal,
+  QuotedExpression,
+  Struct,
+  Unknown,
+  VariableDefinition,
+  Vector
+} from '../src/ast';
+
+describe("The print function,", function() {
+  beforeEach(function() {
+    this.from = {line: 0, ch: 0};
+    this.to = {line: 0, ch: 0};
+    this.literal = (value) => new Literal(this.from, this.to, value, 'number');
+    this.symbol = (value) => new Literal(this.from, this.to, value, 'symbol');
+  });
+
+  it("should print literals as their value", function() {
+    expect(print(this.literal(11))).toBe('11');
+  });
+
+  it("should print empty blanks as ...", function() {
+    expect(print(new Blank(this.from, this.to, ''))).toBe('...');
+    expect(print(new Blank(this.from, this.to, 'x'))).toBe('x');
+  });
+
+  it("should print expressions with their function and arguments", function() {
+    let expression = new Expression(
+      this.from, this.to, '+', [this.literal(1), this.literal(2)]);
+    expect(print(expression)).toBe('(+ 1 2)');
+    expect(expression.toString()).toBe('(+ 1 2)');
+  });
+
+  it("should print expressions without arguments", function() {
+    expect(print(new Expression(this.from, this.to, 'random', []))).toBe('(random)');
+  });
+
+  it("should print variable definitions with their name", function() {
+    let definition = new VariableDefinition(this.from, this.to, 'x', this.literal(1));
+    expect(print(definition)).toBe('(define x 1)');
+  });
+
+  it("should print function definitions with their arguments", function() {
+    let definition = new FunctionDefinition(
+      this.from, this.to, 'f', ['x', 'y'],
+      new Expression(this.from, this.to, '+', [this.symbol('x'), this.symbol('y')]));
+    expect(print(definition)).toBe('(define (f x y) (+ x y))');
+  });
+
+  it("should print struct fields inside parentheses", function() {
+    let struct = new Struct(
+      this.from, this.to, 'posn', [this.symbol('x'), this.symbol('y')]);
+    expect(print(struct)).toBe('(define-struct posn (x y))');
+  });
+
+  it("should print unknown nodes with all their elements", function() {
+    let unknown = new Unknown(this.from, this.to, [this.symbol('foo'), this.literal(1)]);
+    expect(print(unknown)).toBe('(foo 1)');
+  });
+
+  it("should print conditionals", function() {
+    let ifExpression = new IfExpression(
+      this.from, this.to, this.symbol('x'), this.literal(1), this.literal(2));
+    expect(print(ifExpression)).toBe('(if x 1 2)');
+    let cond = new CondExpression(this.from, this.to, [
+      new CondClause(this.from, this.to, this.symbol('x'), [this.literal(1)]),
+      new CondClause(this.from, this.to, this.symbol('else'), [this.literal(2)])
+    ]);
+    expect(print(cond)).toBe('(cond [x 1] [else 2])');
+    expect(print(cond, {width: 10})).toBe('(cond\n  [x 1]\n  [else 2])');
+  });
+
+  it("should print lambdas with their arguments", function() {
+    let lambda = new LambdaExpression(this.from, this.to, ['x'], this.symbol('x'));
+    expect(print(lambda)).toBe('(lambda (x) x)');
+  });
+
+  it("should print let expressions with their bindings", function() {
+    let bindings = [
+      new Binding(this.from, this.to, 'x', this.literal(1)),
+      new Binding(this.from, this.to, 'y', this.literal(2))
+    ];
+    let letExpression = new LetExpression(this.from, this.to, 'let*', bindings, this.symbol('y'));
+    expect(print(letExpression)).toBe('(let* ([x 1] [y 2]) y)');
+    expect(print(letExpression, {width: 16})).toBe('(let* ([x 1]\n       [y 2])\n  y)');
+  });
+
+  it("should print local definitions inside square brackets", function() {
+    let local = new LetExpression(this.from, this.to, 'local', [
+      new VariableDefinition(this.from, this.to, 'x', this.literal(1))
+    ], this.symbol('x'));
+    expect(print(local)).toBe('(local [(define x 1)] x)');
+  });
+
+  it("should print quoted expressions and vectors", function() {
+    let vector = new Vector(this.from, this.to, [this.literal(1), this.literal(2)]);
+    expect(print(vector)).toBe('#(1 2)');
+    expect(print(new QuotedExpression(this.from, this.to, this.symbol('x')))).toBe("'x");
+  });
+
+  it("should print every root node of an ast on its own line", function() {
+    let ast = new ExampleParser().parse('(+ 1 2) 3');
+    expect(print(ast)).toBe('(+ 1 2)\n3');
+  });
+
+  describe("when a node doesn't fit on a line,", function() {
+    beforeEach(function() {
+      this.expression = new Expression(this.from, this.to, '+', [
+        new Expression(this.from, this.to, '*', [this.literal(1), this.literal(2)]),
+        this.literal(3)
+      ]);
+    });
+
+    it("should put each argument on a line of its own", function() {
+      expect(print(this.expression, {width: 10})).toBe('(+\n  (* 1 2)\n  3)');
+    });
+
+    it("should use the given indentation", function() {
+      expect(print(this.expression, {width: 11, indent: 4})).toBe('(+\n    (* 1 2)\n    3)');
+    });
+
+    it("should only break up nodes that don't fit", function() {
+      let definition = new VariableDefinition(this.from, this.to, 'x', this.expression);
+      expect(print(definition, {width: 20})).toBe('(define x\n  (+ (* 1 2) 3))');
+    });
+
+    it("should print leaves that are wider than a line as they are", function() {
+      let text = `"${'a'.repeat(90)}"`;
+      let string = new Literal(this.from, this.to, text, 'string');
+      expect(print(new VariableDefinition(this.from, this.to, 'x', string), {width: 20}))
+        .toBe(`(define x\n  ${text})`);
+      expect(print(new Expression(this.from, this.to, '+', [string, this.literal(1)]), {width: 20}))
+        .toBe(`(+\n  ${text}\n  1)`);
+    });
+  });
+
+  describe("when a node contains comments,", function() {
+    beforeEach(function() {
+      this.unknown = new Unknown(this.from, this.to, [
+        this.symbol('foo'),
+        new Comment(this.from, this.to, ' a comment'),
+        this.literal(1)
+      ]);
+    });
+
+    it("should never print it on a single line", function() {
+      expect(print(this.unknown)).toBe('(foo\n  ; a comment\n  1)');
+    });
+
+    it("should put the closing paren after a trailing comment on its own line", function() {
+      this.unknown.elts.pop();
+      expect(print(this.unknown)).toBe('(foo\n  ; a comment\n)');
+    });
+  });
+
+  it("should complain about nodes it doesn't know how to print", function() {
+    expect(() => print({type: 'foo'})).toThrowError("Don't know how to print node: foo");
+  });
+});
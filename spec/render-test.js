@@ -1,7 +1,7 @@
 import CodeMirror from 'codemirror';
 import ExampleParser from '../example/parser';
 import render from '../src/render';
-import {Comment} from '../src/ast';
+import {Comment, CondClause, CondExpression, Literal, Struct} from '../src/ast';
 
 describe('The render module,', function() {
   beforeEach(function() {
@@ -56,6 +56,60 @@ describe('The render module,', function() {
     });
   });
 
+  describe('when rendering a struct,', function() {
+    beforeEach(function() {
+      this.struct = new Struct(
+        {line:0, ch:0}, {line:0, ch:26}, 'posn', [
+          new Literal({line:0, ch:21}, {line:0, ch:22}, 'x', 'symbol'),
+          new Literal({line:0, ch:23}, {line:0, ch:24}, 'y', 'symbol')
+        ]);
+      this.fragment = render(this.struct, this.cm);
+    });
+
+    it('should render its fields as nodes of their own', function() {
+      for (let field of this.struct.fields) {
+        expect(field.el).toBeTruthy();
+        expect(field.el.id).toBe(`block-node-${field.id}`);
+      }
+    });
+
+    it('should render a name given as a string', function() {
+      let nameEl = this.fragment.querySelector('span.blocks-struct span.blocks-name');
+      expect(nameEl.textContent).toBe('posn');
+    });
+
+    it('should render a name given as a node', function() {
+      this.struct.name = new Literal({line:0, ch:15}, {line:0, ch:19}, 'posn', 'symbol');
+      this.fragment = render(this.struct, this.cm);
+      expect(this.struct.name.el.textContent).toBe('posn');
+    });
+  });
+
+  describe('when rendering a cond expression,', function() {
+    beforeEach(function() {
+      let literal = (ch, value) => new Literal({line:0, ch}, {line:0, ch:ch+1}, value, 'number');
+      this.cond = new CondExpression({line:0, ch:0}, {line:0, ch:19}, [
+        new CondClause({line:0, ch:6}, {line:0, ch:11}, literal(7, 1), [literal(9, 2)]),
+        new CondClause({line:0, ch:12}, {line:0, ch:17}, literal(13, 3), [literal(15, 4)])
+      ]);
+      this.fragment = render(this.cond, this.cm);
+      this.condEl = this.fragment.querySelector('span.blocks-condExpression');
+    });
+
+    it('should render each clause as a row of its own', function() {
+      let clauseEls = this.condEl.querySelectorAll('span.blocks-condClause');
+      expect(clauseEls.length).toBe(2);
+      expect(clauseEls[0]).toBe(this.cond.clauses[0].el);
+    });
+
+    it('should render drop targets between the clauses', function() {
+      let clausesEl = this.condEl.querySelector('.blocks-clauses');
+      let dropTargets = Array.from(clausesEl.children)
+        .filter(el => el.classList.contains('blocks-drop-target'));
+      expect(dropTargets.map(el => el.getAttribute('ch'))).toEqual(['6', '11', '17']);
+    });
+  });
+
   describe('when rendering a comment,', function() {
     beforeEach(function() {
       this.comment = new Comment(
@@ -54,18 +54,19 @@ describe('The CodeMirrorBlocks Class', function() {
         this.funExp = this.exp.func;
       });
 
-      it('should allow tabbing forward through expressions in the function position', function() {
+      it('should allow moving through expressions in the function position', function() {
         this.cm.getWrapperElement().dispatchEvent(keydown(9));
         expect(this.blocks.getSelectedNode()).toBe(this.exp);
-        this.cm.getWrapperElement().dispatchEvent(keydown(9));
+        this.cm.getWrapperElement().dispatchEvent(keydown(40));
         expect(this.blocks.getSelectedNode()).toBe(this.funExp);
-        this.cm.getWrapperElement().dispatchEvent(keydown(9));
+        this.cm.getWrapperElement().dispatchEvent(keydown(40));
         expect(this.blocks.getSelectedNode()).toBe(this.funExp.func);
-        this.cm.getWrapperElement().dispatchEvent(keydown(9));
+        this.cm.getWrapperElement().dispatchEvent(keydown(39));
         expect(this.blocks.getSelectedNode()).toBe(this.funExp.args[0]);
-        this.cm.getWrapperElement().dispatchEvent(keydown(9));
+        this.cm.getWrapperElement().dispatchEvent(keydown(39));
         expect(this.blocks.getSelectedNode()).toBe(this.funExp.args[1]);
-        this.cm.getWrapperElement().dispatchEvent(keydown(9));
+        this.cm.getWrapperElement().dispatchEvent(keydown(38));
+        this.cm.getWrapperElement().dispatchEvent(keydown(39));
         expect(this.blocks.getSelectedNode()).toBe(this.exp.args[0]);
       });
 
@@ -73,4 +74,31 @@ describe('The CodeMirrorBlocks Class', function() {
 
 
   });
+
+  describe('when unwrapping nodes,', function() {
+    beforeEach(function() {
+      this.blocks.setBlockMode(true);
+    });
+
+    it('should keep the first value inside of them', function() {
+      for (let [code, unwrapped] of [
+        ['(if (f 1) 2 3)', '(f 1)'],
+        ['(lambda (x) (+ x 1))', '(+ x 1)'],
+        ['(let ((x 1)) (* x 2))', '(* x 2)'],
+        ["'(1 2)", '(1 2)']
+      ]) {
+        this.cm.setValue(code);
+        this.blocks.unwrapNode(this.blocks.ast.rootNodes[0]);
+        expect(this.cm.getValue()).toBe(unwrapped);
+      }
+    });
+
+    it('should unwrap the parent of the selected node from the keyboard', function() {
+      this.cm.setValue('(+ (if (f 1) 2 3) 4)');
+      let thenExpr = this.blocks.ast.rootNodes[0].args[0].thenExpr;
+      thenExpr.el.focus();
+      thenExpr.el.dispatchEvent(keydown(85, {altKey: true}));
+      expect(this.cm.getValue()).toBe('(+ 2 4)');
+    });
+  });
 });
@@ -1,4 +1,5 @@
 import uuid from 'node-uuid';
+import print from './print';
 
 // This is the root of the *Abstract Syntax Tree*.  Parser implementations are
 // required to spit out an `AST` instance.
@@ -18,19 +19,32 @@ export class AST {
     this.nextNodeMap = new WeakMap();
     this.prevNodeMap = new WeakMap();
 
+    // the `parentMap`, `childrenMap` and `indexMap` attributes hold the shape
+    // of the tree, which the navigation methods below look things up in.
+    this.parentMap = new WeakMap();
+    this.childrenMap = new WeakMap();
+    this.indexMap = new WeakMap();
+
+    this.rootNodes.forEach((rootNode, index) => this.indexMap.set(rootNode, index));
+
     let lastNode = null;
-    for (let rootNode of this.rootNodes) {
-      for (let node of rootNode) {
-        if (node) {
-          if (lastNode) {
-            this.nextNodeMap.set(lastNode, node);
-            this.prevNodeMap.set(node, lastNode);
-          }
-          this.nodeMap.set(node.id, node);
-          lastNode = node;
+    walk(this.rootNodes, {
+      enter: (node, parent) => {
+        if (lastNode) {
+          this.nextNodeMap.set(lastNode, node);
+          this.prevNodeMap.set(node, lastNode);
+        }
+        this.nodeMap.set(node.id, node);
+        lastNode = node;
+
+        let children = node.children();
+        this.childrenMap.set(node, children);
+        children.forEach((child, index) => this.indexMap.set(child, index));
+        if (parent) {
+          this.parentMap.set(node, parent);
         }
       }
-    }
+    });
   }
 
   // returns -1 if a<b, 0 if a==b, and 1 if a>b
@@ -47,11 +61,267 @@ export class AST {
         || this.reverseRootNodes.find((node) => this.comparePos(node.to, selection) <= 0)
         || this.reverseRootNodes[0];
   }
+
+  // returns the node that `node` is directly inside of, or null for root nodes
+  getParent(node) {
+    return this.parentMap.get(node) || null;
+  }
+
+  // returns the nodes directly inside of `node`, in source order
+  getChildren(node) {
+    return this.childrenMap.get(node) || [];
+  }
+
+  // returns the nodes that share a parent with `node`, including `node`
+  // itself. The siblings of a root node are all the other root nodes.
+  getSiblings(node) {
+    let parent = this.getParent(node);
+    return parent ? this.getChildren(parent) : this.rootNodes;
+  }
+
+  // returns the position of `node` among its siblings
+  getSiblingIndex(node) {
+    return this.indexMap.has(node) ? this.indexMap.get(node) : -1;
+  }
+
+  getNextSibling(node) {
+    let index = this.getSiblingIndex(node);
+    return index >= 0 ? this.getSiblings(node)[index + 1] || null : null;
+  }
+
+  getPrevSibling(node) {
+    let index = this.getSiblingIndex(node);
+    return index > 0 ? this.getSiblings(node)[index - 1] : null;
+  }
+
+  // returns every node that `node` is inside of, starting with its parent and
+  // ending with its root node.
+  getAncestors(node) {
+    let ancestors = [];
+    for (let parent = this.getParent(node); parent; parent = this.getParent(parent)) {
+      ancestors.push(parent);
+    }
+    return ancestors;
+  }
+
+  // Siblings are always in source order, so finding nodes by position is a
+  // binary search through the root nodes, then through the children of
+  // whichever node the position is in, and so on down the tree.
+
+  // returns the innermost node at `pos`, or null if `pos` is between nodes.
+  // A node is at every position from its start up to (but not including) its
+  // end, except for empty nodes, which are only at their start.
+  getNodeAt(pos) {
+    let node = null;
+    let siblings = this.rootNodes;
+    for (;;) {
+      // the last sibling that starts at or before `pos`
+      let index = findIndex(siblings, sibling => this.comparePos(sibling.from, pos) > 0) - 1;
+      let sibling = siblings[index];
+      if (!sibling || !(this.comparePos(pos, sibling.to) < 0 ||
+                        this.comparePos(sibling.from, sibling.to) == 0 &&
+                        this.comparePos(sibling.from, pos) == 0)) {
+        return node;
+      }
+      node = sibling;
+      siblings = this.getChildren(node);
+    }
+  }
+
+  // returns every node, at any depth, that lies entirely between `from` and
+  // `to`, in source order.
+  getNodesInRange(from, to) {
+    let nodes = [];
+    let collect = (siblings) => {
+      // skip the siblings that end before the range starts
+      let index = findIndex(siblings, sibling => this.comparePos(sibling.to, from) > 0 ||
+                                                 this.comparePos(sibling.from, from) >= 0);
+      for (let sibling of siblings.slice(index)) {
+        if (this.comparePos(sibling.from, to) > 0 ||
+            this.comparePos(sibling.from, to) == 0 && this.comparePos(sibling.to, to) > 0) {
+          break;
+        }
+        if (this.comparePos(sibling.from, from) >= 0 && this.comparePos(sibling.to, to) <= 0) {
+          nodes.push(...sibling);
+        } else {
+          collect(this.getChildren(sibling));
+        }
+      }
+    };
+    collect(this.rootNodes);
+    return nodes;
+  }
+
+  // An AST can be turned into plain JSON data with `toJSON`, and rebuilt from
+  // that data, without going through a parser, with `AST.fromJSON`.
+  toJSON() {
+    return {rootNodes: this.rootNodes.map(node => node.toJSON())};
+  }
+
+  static fromJSON(data) {
+    return new AST(data.rootNodes.map(node => ASTNode.fromJSON(node)));
+  }
+}
+
+// returns the index of the first item in a sorted list that `isAfter` is true
+// for, or the length of the list if there isn't one.
+function findIndex(items, isAfter) {
+  let low = 0;
+  let high = items.length;
+  while (low < high) {
+    let middle = (low + high) >> 1;
+    if (isAfter(items[middle])) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+// Child fields can hold either nodes or plain values (like the argument names
+// of a function definition), so these convert whichever it is to and from JSON.
+function childToJSON(child) {
+  return child instanceof ASTNode ? child.toJSON() : child;
+}
+
+function childFromJSON(data) {
+  return data && typeof data == 'object' && data.type ? ASTNode.fromJSON(data) : data;
+}
+
+function withId(node, id) {
+  if (id) {
+    node.id = id;
+  }
+  return node;
+}
+
+// `walk` visits every node in `nodes` (either a single node or a list of them)
+// and everything inside of them, in source order. The `visitor` is an object
+// that can have `enter` and `leave` callbacks, which get called for every node
+// on the way in and on the way out, and callbacks keyed by node type, which
+// are either a function that gets called on the way in, or an object with
+// `enter` and/or `leave` functions of its own. Every callback is passed the
+// node and its parent (null for root nodes), and returning false from an
+// `enter` callback skips everything inside of that node.
+export function walk(nodes, visitor, parent=null) {
+  if (!Array.isArray(nodes)) {
+    nodes = [nodes];
+  }
+  for (let node of nodes) {
+    let typeVisitor = visitor[node.type] || {};
+    if (typeof typeVisitor == 'function') {
+      typeVisitor = {enter: typeVisitor};
+    }
+    let skip = false;
+    for (let enter of [visitor.enter, typeVisitor.enter]) {
+      if (enter && enter(node, parent) === false) {
+        skip = true;
+      }
+    }
+    if (!skip) {
+      walk(node.children(), visitor, node);
+    }
+    for (let leave of [typeVisitor.leave, visitor.leave]) {
+      if (leave) {
+        leave(node, parent);
+      }
+    }
+  }
+}
+
+// Child fields can hold plain values too, like the argument names of a
+// function definition, which aren't part of the tree.
+function nodesOnly(children) {
+  return children.filter(child => child instanceof ASTNode);
+}
+
+// `reconcile` carries the ids of a list of old nodes over to the nodes in a
+// freshly parsed list that correspond to them, so a node keeps its identity
+// (and its DOM element id) when the code around it gets re-parsed. Siblings
+// are paired up by their contents first and by their position second, and any
+// node that's still left over is matched against everything that didn't get
+// paired up, which catches nodes that were moved to a different parent.
+export function reconcile(oldNodes, newNodes) {
+  let signatures = new WeakMap();
+  let matched = new WeakSet();
+  let leftoverOld = new Map();
+  let leftoverNew = [];
+
+  function signature(node) {
+    if (!signatures.has(node)) {
+      let label = [node.value, node.name, node.keyword, node.comment]
+        .find(field => field !== undefined && !(field instanceof ASTNode));
+      let children = node.children().map(signature).join(' ');
+      signatures.set(node, `${node.type}:${label}(${children})`);
+    }
+    return signatures.get(node);
+  }
+
+  function leaveOld(node) {
+    let key = signature(node);
+    leftoverOld.set(key, (leftoverOld.get(key) || []).concat([node]));
+    node.children().forEach(leaveOld);
+  }
+
+  function match(oldNode, newNode) {
+    newNode.id = oldNode.id;
+    matched.add(oldNode);
+    matchSiblings(oldNode.children(), newNode.children());
+  }
+
+  function matchSiblings(olds, news) {
+    let start = 0;
+    let oldEnd = olds.length;
+    let newEnd = news.length;
+    while (start < oldEnd && start < newEnd &&
+           signature(olds[start]) == signature(news[start])) {
+      match(olds[start], news[start]);
+      start++;
+    }
+    while (oldEnd > start && newEnd > start &&
+           signature(olds[oldEnd - 1]) == signature(news[newEnd - 1])) {
+      match(olds[--oldEnd], news[--newEnd]);
+    }
+    // nodes that were reordered among their siblings
+    let oldRest = olds.slice(start, oldEnd);
+    let newRest = [];
+    for (let newNode of news.slice(start, newEnd)) {
+      let index = oldRest.findIndex(oldNode => signature(oldNode) == signature(newNode));
+      if (index >= 0) {
+        match(oldRest.splice(index, 1)[0], newNode);
+      } else {
+        newRest.push(newNode);
+      }
+    }
+    // nodes that were edited in place
+    newRest.forEach((newNode, i) => {
+      let oldNode = oldRest.length == newRest.length && oldRest[i];
+      if (oldNode && oldNode.type == newNode.type) {
+        match(oldNode, newNode);
+      } else {
+        leftoverNew.push(newNode);
+      }
+    });
+    oldRest.filter(oldNode => !matched.has(oldNode)).forEach(leaveOld);
+  }
+
+  function matchMoved(node) {
+    let oldNode = (leftoverOld.get(signature(node)) || []).find(old => !matched.has(old));
+    if (oldNode) {
+      match(oldNode, node);
+    } else {
+      node.children().forEach(matchMoved);
+    }
+  }
+
+  matchSiblings(oldNodes, newNodes);
+  leftoverNew.forEach(matchMoved);
 }
 
 // Every node in the AST inherits from the `ASTNode` class, which is used to
 // house some common attributes.
-class ASTNode {
+export class ASTNode {
   constructor(from, to, type, options) {
 
     // The `from` and `to` attributes are objects containing the start and end
@@ -77,6 +347,40 @@ class ASTNode {
     // it's corresponding DOM element, or to look it up in `AST.nodeMap`
     this.id = uuid.v4();
   }
+
+  // Every subclass that has nodes inside of it returns them, in source order,
+  // from `children`, which is what `walk` and iterating over a node go by.
+  children() {
+    return [];
+  }
+
+  *[Symbol.iterator]() {
+    yield this;
+    for (let child of this.children()) {
+      yield* child;
+    }
+  }
+
+  // Every subclass serializes its own fields on top of these in `toJSON`, and
+  // has a matching static `fromJSON` that builds a node back up from them.
+  // `ASTNode.fromJSON` looks at the `type` to figure out which one to use.
+  toJSON() {
+    return {
+      type: this.type,
+      id: this.id,
+      from: {line: this.from.line, ch: this.from.ch},
+      to: {line: this.to.line, ch: this.to.ch},
+      options: Object.assign({}, this.options)
+    };
+  }
+
+  static fromJSON(data) {
+    let nodeClass = nodeClasses[data.type];
+    if (!nodeClass) {
+      throw new Error(`Don't know how to build a node of type "${data.type}" from JSON`);
+    }
+    return nodeClass.fromJSON(data);
+  }
 }
 
 export class Unknown extends ASTNode {
@@ -85,17 +389,20 @@ export class Unknown extends ASTNode {
     this.elts = elts;
   }
 
-  *[Symbol.iterator]() {
-    yield this;
-    for (let elt of this.elts) {
-      for (let node of elt) {
-        yield node;
-      }
-    }
+  children() {
+    return nodesOnly(this.elts);
   }
 
   toString() {
-    return `(${this.func} ${this.args.join(' ')})`;
+    return print(this);
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {elts: this.elts.map(childToJSON)});
+  }
+
+  static fromJSON(data) {
+    return withId(new Unknown(data.from, data.to, data.elts.map(childFromJSON), data.options), data.id);
   }
 }
 
@@ -106,20 +413,29 @@ export class Expression extends ASTNode {
     this.args = args;
   }
 
-  *[Symbol.iterator]() {
-    yield this;
-    if (this.func instanceof ASTNode) {
-      yield* this.func;
-    }
-    for (let arg of this.args) {
-      for (let node of arg) {
-        yield node;
-      }
-    }
+  children() {
+    return nodesOnly([this.func].concat(this.args));
   }
 
   toString() {
-    return `(${this.func} ${this.args.join(' ')})`;
+    return print(this);
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {
+      func: childToJSON(this.func),
+      args: this.args.map(childToJSON)
+    });
+  }
+
+  static fromJSON(data) {
+    return withId(new Expression(
+      data.from,
+      data.to,
+      childFromJSON(data.func),
+      data.args.map(childFromJSON),
+      data.options
+    ), data.id);
   }
 }
 
@@ -130,12 +446,29 @@ export class Struct extends ASTNode {
     this.fields = fields;
   }
 
-  *[Symbol.iterator]() {
-    yield this;
+  children() {
+    return nodesOnly([this.name].concat(this.fields));
   }
 
   toString() {
-    return `(define-struct ${this.name} ${this.fields.join(' ')})`;
+    return print(this);
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {
+      name: childToJSON(this.name),
+      fields: this.fields.map(childToJSON)
+    });
+  }
+
+  static fromJSON(data) {
+    return withId(new Struct(
+      data.from,
+      data.to,
+      childFromJSON(data.name),
+      data.fields.map(childFromJSON),
+      data.options
+    ), data.id);
   }
 }
 
@@ -146,15 +479,29 @@ export class VariableDefinition extends ASTNode {
     this.body = body;
   }
 
-  *[Symbol.iterator]() {
-    yield this;
-    for (let node of this.body) {
-      yield node;
-    }
+  children() {
+    return nodesOnly([this.name, this.body]);
   }
 
   toString() {
-    return `(define (${this.name} ${this.body})`;
+    return print(this);
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {
+      name: childToJSON(this.name),
+      body: childToJSON(this.body)
+    });
+  }
+
+  static fromJSON(data) {
+    return withId(new VariableDefinition(
+      data.from,
+      data.to,
+      childFromJSON(data.name),
+      childFromJSON(data.body),
+      data.options
+    ), data.id);
   }
 }
 
@@ -166,15 +513,289 @@ export class FunctionDefinition extends ASTNode {
     this.body = body;
   }
 
-  *[Symbol.iterator]() {
-    yield this;
-    for (let node of this.body) {
-      yield node;
-    }
+  children() {
+    return nodesOnly([this.name].concat(this.args, [this.body]));
   }
 
   toString() {
-    return `(define (${this.name} ${this.args.join(' ')}) ${this.body})`;
+    return print(this);
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {
+      name: childToJSON(this.name),
+      args: this.args.map(childToJSON),
+      body: childToJSON(this.body)
+    });
+  }
+
+  static fromJSON(data) {
+    return withId(new FunctionDefinition(
+      data.from,
+      data.to,
+      childFromJSON(data.name),
+      data.args.map(childFromJSON),
+      childFromJSON(data.body),
+      data.options
+    ), data.id);
+  }
+}
+
+export class IfExpression extends ASTNode {
+  constructor(from, to, testExpr, thenExpr, elseExpr, options={}) {
+    super(from, to, 'ifExpression', options);
+    this.testExpr = testExpr;
+    this.thenExpr = thenExpr;
+    this.elseExpr = elseExpr;
+  }
+
+  children() {
+    return nodesOnly([this.testExpr, this.thenExpr, this.elseExpr]);
+  }
+
+  toString() {
+    return print(this);
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {
+      testExpr: childToJSON(this.testExpr),
+      thenExpr: childToJSON(this.thenExpr),
+      elseExpr: childToJSON(this.elseExpr)
+    });
+  }
+
+  static fromJSON(data) {
+    return withId(new IfExpression(
+      data.from,
+      data.to,
+      childFromJSON(data.testExpr),
+      childFromJSON(data.thenExpr),
+      childFromJSON(data.elseExpr),
+      data.options
+    ), data.id);
+  }
+}
+
+// A `cond` is made up of `CondClause` nodes, each of which has a test and one
+// or more expressions to evaluate when the test is true.
+export class CondExpression extends ASTNode {
+  constructor(from, to, clauses, options={}) {
+    super(from, to, 'condExpression', options);
+    this.clauses = clauses;
+  }
+
+  children() {
+    return nodesOnly(this.clauses);
+  }
+
+  toString() {
+    return print(this);
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {clauses: this.clauses.map(childToJSON)});
+  }
+
+  static fromJSON(data) {
+    return withId(new CondExpression(
+      data.from,
+      data.to,
+      data.clauses.map(childFromJSON),
+      data.options
+    ), data.id);
+  }
+}
+
+export class CondClause extends ASTNode {
+  constructor(from, to, testExpr, thenExprs, options={}) {
+    super(from, to, 'condClause', options);
+    this.testExpr = testExpr;
+    this.thenExprs = thenExprs;
+  }
+
+  children() {
+    return nodesOnly([this.testExpr].concat(this.thenExprs));
+  }
+
+  toString() {
+    return print(this);
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {
+      testExpr: childToJSON(this.testExpr),
+      thenExprs: this.thenExprs.map(childToJSON)
+    });
+  }
+
+  static fromJSON(data) {
+    return withId(new CondClause(
+      data.from,
+      data.to,
+      childFromJSON(data.testExpr),
+      data.thenExprs.map(childFromJSON),
+      data.options
+    ), data.id);
+  }
+}
+
+export class LambdaExpression extends ASTNode {
+  constructor(from, to, args, body, options={}) {
+    super(from, to, 'lambdaExpression', options);
+    this.args = args;
+    this.body = body;
+  }
+
+  children() {
+    return nodesOnly(this.args.concat([this.body]));
+  }
+
+  toString() {
+    return print(this);
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {
+      args: this.args.map(childToJSON),
+      body: childToJSON(this.body)
+    });
+  }
+
+  static fromJSON(data) {
+    return withId(new LambdaExpression(
+      data.from,
+      data.to,
+      data.args.map(childFromJSON),
+      childFromJSON(data.body),
+      data.options
+    ), data.id);
+  }
+}
+
+// `LetExpression` covers `let`, `let*`, `letrec` and `local`, which one being
+// stored in its `keyword`. The bindings of the first three are `Binding`
+// nodes, while the bindings of a `local` are definitions.
+export class LetExpression extends ASTNode {
+  constructor(from, to, keyword, bindings, body, options={}) {
+    super(from, to, 'letExpression', options);
+    this.keyword = keyword;
+    this.bindings = bindings;
+    this.body = body;
+  }
+
+  children() {
+    return nodesOnly(this.bindings.concat([this.body]));
+  }
+
+  toString() {
+    return print(this);
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {
+      keyword: this.keyword,
+      bindings: this.bindings.map(childToJSON),
+      body: childToJSON(this.body)
+    });
+  }
+
+  static fromJSON(data) {
+    return withId(new LetExpression(
+      data.from,
+      data.to,
+      data.keyword,
+      data.bindings.map(childFromJSON),
+      childFromJSON(data.body),
+      data.options
+    ), data.id);
+  }
+}
+
+export class Binding extends ASTNode {
+  constructor(from, to, name, value, options={}) {
+    super(from, to, 'binding', options);
+    this.name = name;
+    this.value = value;
+  }
+
+  children() {
+    return nodesOnly([this.name, this.value]);
+  }
+
+  toString() {
+    return print(this);
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {
+      name: childToJSON(this.name),
+      value: childToJSON(this.value)
+    });
+  }
+
+  static fromJSON(data) {
+    return withId(new Binding(
+      data.from,
+      data.to,
+      childFromJSON(data.name),
+      childFromJSON(data.value),
+      data.options
+    ), data.id);
+  }
+}
+
+// The `keyword` of a `QuotedExpression` is either 'quote' or 'quasiquote'.
+export class QuotedExpression extends ASTNode {
+  constructor(from, to, value, keyword='quote', options={}) {
+    super(from, to, 'quotedExpression', options);
+    this.value = value;
+    this.keyword = keyword;
+  }
+
+  children() {
+    return nodesOnly([this.value]);
+  }
+
+  toString() {
+    return print(this);
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {value: childToJSON(this.value), keyword: this.keyword});
+  }
+
+  static fromJSON(data) {
+    return withId(new QuotedExpression(
+      data.from,
+      data.to,
+      childFromJSON(data.value),
+      data.keyword,
+      data.options
+    ), data.id);
+  }
+}
+
+export class Vector extends ASTNode {
+  constructor(from, to, elts, options={}) {
+    super(from, to, 'vector', options);
+    this.elts = elts;
+  }
+
+  children() {
+    return nodesOnly(this.elts);
+  }
+
+  toString() {
+    return print(this);
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {elts: this.elts.map(childToJSON)});
+  }
+
+  static fromJSON(data) {
+    return withId(new Vector(data.from, data.to, data.elts.map(childFromJSON), data.options), data.id);
   }
 }
 
@@ -185,13 +806,20 @@ export class Literal extends ASTNode {
     this.dataType = dataType;
   }
 
-  *[Symbol.iterator]() {
-    yield this;
-  }
-
   toString() {
     return `${this.value}`;
   }
+
+  toJSON() {
+    // parsers are free to use objects of their own as literal values, so
+    // those get stored as the source text they print as.
+    let value = this.value && typeof this.value == 'object' ? `${this.value}` : this.value;
+    return Object.assign(super.toJSON(), {value, dataType: this.dataType});
+  }
+
+  static fromJSON(data) {
+    return withId(new Literal(data.from, data.to, data.value, data.dataType, data.options), data.id);
+  }
 }
 
 export class Comment extends ASTNode {
@@ -200,13 +828,17 @@ export class Comment extends ASTNode {
     this.comment = comment;
   }
 
-  *[Symbol.iterator]() {
-    yield this;
-  }
-
   toString() {
     return `${this.comment}`;
   }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {comment: this.comment});
+  }
+
+  static fromJSON(data) {
+    return withId(new Comment(data.from, data.to, data.comment, data.options), data.id);
+  }
 }
 
 export class Blank extends ASTNode {
@@ -216,12 +848,34 @@ export class Blank extends ASTNode {
     this.dataType = dataType;
   }
 
-  *[Symbol.iterator]() {
-    yield this;
-  }
-
   toString() {
     return `${this.value}`;
   }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), {value: this.value, dataType: this.dataType});
+  }
+
+  static fromJSON(data) {
+    return withId(new Blank(data.from, data.to, data.value, data.dataType, data.options), data.id);
+  }
 }
 
+const nodeClasses = {
+  unknown: Unknown,
+  expression: Expression,
+  struct: Struct,
+  variableDef: VariableDefinition,
+  functionDef: FunctionDefinition,
+  ifExpression: IfExpression,
+  condExpression: CondExpression,
+  condClause: CondClause,
+  lambdaExpression: LambdaExpression,
+  letExpression: LetExpression,
+  binding: Binding,
+  quotedExpression: QuotedExpression,
+  vector: Vector,
+  literal: Literal,
+  comment: Comment,
+  blank: Blank
+};
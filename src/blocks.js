@@ -1,5 +1,8 @@
 import CodeMirror from 'codemirror';
 import render from './render';
+import {AST, ASTNode, reconcile} from './ast';
+import print from './print';
+import MESSAGES from './messages';
 import * as ui from './ui';
 
 function getLocationFromEl(el) {
@@ -16,6 +19,88 @@ function getLocationFromEl(el) {
   };
 }
 
+// the types of literals, in the terms of primitive contracts
+const LITERAL_TYPES = {
+  number: 'Number',
+  string: 'String',
+  boolean: 'Boolean'
+};
+
+// Unless the parser knows better, two tokens need a space between them unless
+// one of them is whitespace already, or a bracket that separates them anyway.
+function needsSpaceBetween(before, after) {
+  return !/[\s([{]/.test(before) && !/[\s)\]}]/.test(after);
+}
+
+// Takes the text of a node that started at column `fromCh`, and is about to be
+// inserted at column `toCh` (along with any whitespace in front of it), and
+// moves every line after the first one of the node over by as many columns as
+// the node moved, so that nodes spanning several lines keep their shape.
+function reindent(text, fromCh, toCh) {
+  let leading = text.match(/^\s*/)[0];
+  let firstLine = leading.split('\n').length - 1;
+  let column = firstLine ? leading.length - leading.lastIndexOf('\n') - 1 : toCh + leading.length;
+  let shift = column - fromCh;
+  if (shift == 0) {
+    return text;
+  }
+  return text.split('\n').map((line, i) => {
+    if (i <= firstLine) {
+      return line;
+    }
+    return shift > 0 ? ' '.repeat(shift) + line : line.replace(new RegExp(`^ {0,${-shift}}`), '');
+  }).join('\n');
+}
+
+// Stands in for the data transfer of a drag event, so that nodes that get
+// picked up and dropped with the keyboard go through the same code as nodes
+// that get dragged and dropped with the mouse.
+function createDataTransfer() {
+  return {
+    data: {},
+    effectAllowed: 'copyMove',
+    dropEffect: 'move',
+    setData(type, data) {
+      this.data[type] = data;
+    },
+    getData(type) {
+      return this.data[type] || '';
+    },
+    setDragImage() {}
+  };
+}
+
+function isCopyDrag(event) {
+  return event.altKey || event.ctrlKey;
+}
+
+// the title a drop target had before a type mismatch took its place
+const TITLE_BEFORE_MISMATCH = Symbol("codemirror-blocks-title-before-mismatch");
+
+// Shows `mismatch` on a drop target while something is dragged over it, in
+// place of any title it already had, like the message of a parse error.
+function markTypeMismatch(el, mismatch) {
+  if (!el.classList.contains('blocks-type-mismatch')) {
+    el[TITLE_BEFORE_MISMATCH] = el.getAttribute('title');
+  }
+  el.classList.add('blocks-type-mismatch');
+  el.title = mismatch;
+}
+
+function clearDropHighlight(el) {
+  el.classList.remove('blocks-over-target');
+  if (el.classList.contains('blocks-type-mismatch')) {
+    el.classList.remove('blocks-type-mismatch');
+    let title = el[TITLE_BEFORE_MISMATCH];
+    if (title === null || title === undefined) {
+      el.removeAttribute('title');
+    } else {
+      el.title = title;
+    }
+    delete el[TITLE_BEFORE_MISMATCH];
+  }
+}
+
 function findNearestNodeEl(el) {
   while (el !== document.body && !el.classList.contains('blocks-node')) {
     el = el.parentNode;
@@ -26,8 +111,120 @@ function findNearestNodeEl(el) {
   return el;
 }
 
+// Collapses a batch of CodeMirror change objects into the range of lines they
+// touched, in terms of the document as it was before the batch, along with the
+// number of lines the batch added (negative if it removed lines).
+function getChangedLines(changes) {
+  let from, to, newTo;
+  for (let change of changes) {
+    let end = change.from.line + change.text.length - 1;
+    if (from === undefined) {
+      [from, to, newTo] = [change.from.line, change.to.line, end];
+      continue;
+    }
+    // later changes are in terms of the document after the earlier ones, so
+    // map them back before widening the range.
+    if (change.to.line > newTo) {
+      to = change.to.line - (newTo - to);
+    }
+    newTo = newTo > change.to.line ? newTo + end - change.to.line : end;
+    from = Math.min(from, change.from.line);
+  }
+  return {from, to, delta: newTo - to};
+}
+
+// Moves a node and everything inside of it down by `delta` lines, keeping the
+// locations of any drop targets rendered inside of it in sync.
+function shiftNode(rootNode, delta) {
+  for (let node of rootNode) {
+    node.from = {line: node.from.line + delta, ch: node.from.ch};
+    node.to = {line: node.to.line + delta, ch: node.to.ch};
+  }
+  if (rootNode.el) {
+    for (let el of Array.from(rootNode.el.querySelectorAll('[line]'))) {
+      el.setAttribute('line', parseInt(el.getAttribute('line')) + delta);
+    }
+  }
+}
+
+// Returns the parts of a node that are there to name or call something, like
+// the name of a definition, the parameters of a function, or the function
+// being called, rather than being values of their own.
+function getNonValueParts(node) {
+  switch (node.type) {
+  case 'expression':
+    return [node.func];
+  case 'functionDef':
+    return [node.name].concat(node.args);
+  case 'variableDef':
+  case 'struct':
+  case 'binding':
+    return [node.name];
+  case 'lambdaExpression':
+    return node.args;
+  case 'letExpression':
+    return node.bindings;
+  default:
+    return [];
+  }
+}
+
 const MARKER = Symbol("codemirror-blocks-marker");
 
+const DEFINITION_TYPES = ['functionDef', 'variableDef', 'struct'];
+
+// the keys that act on the selected node, and the methods they call
+const BLOCK_KEYS = {
+  'Up': 'selectParentNode',
+  'Down': 'selectFirstChildNode',
+  'Left': 'selectPrevSiblingNode',
+  'Right': 'selectNextSiblingNode',
+  'Home': 'selectFirstRootNode',
+  'End': 'selectLastRootNode',
+  'Shift-Up': 'selectDefinitionNode',
+  'Shift-Left': 'extendSelectionToPrevSibling',
+  'Shift-Right': 'extendSelectionToNextSibling',
+  'Alt-W': 'wrapSelectedNode',
+  'Alt-U': 'unwrapSelectedNode',
+  'Alt-C': 'collapseSelectedNodes',
+  'Alt-E': 'expandSelectedNodes',
+  'Space': 'pickUpSelectedNodes'
+};
+
+// the keys that choose where to drop nodes that have been picked up with the
+// keyboard, and the methods they call
+const HOLD_KEYS = {
+  'Left': 'selectPrevDropTarget',
+  'Up': 'selectPrevDropTarget',
+  'Shift-Tab': 'selectPrevDropTarget',
+  'Right': 'selectNextDropTarget',
+  'Down': 'selectNextDropTarget',
+  'Tab': 'selectNextDropTarget',
+  'Enter': 'dropHeldNodes',
+  'Space': 'dropHeldNodes',
+  'Esc': 'cancelHoldingNodes'
+};
+
+// keys that start a find while in block mode
+const START_FIND_KEYS = ['Ctrl-F', 'Cmd-F'];
+
+// keys that step through the matches of a find, while there is one
+const FIND_KEYS = {
+  'F3': 'findNext',
+  'Shift-F3': 'findPrev',
+  'Ctrl-G': 'findNext',
+  'Shift-Ctrl-G': 'findPrev',
+  'Cmd-G': 'findNext',
+  'Shift-Cmd-G': 'findPrev',
+  'Esc': 'stopFinding'
+};
+
+// the clipboard type of copied nodes
+const FRAGMENT_TYPE = 'application/x-codemirror-blocks+json';
+
+// the text of a blank, waiting to be filled in
+const BLANK_TEXT = '...';
+
 export class BlockMarker {
   constructor(cmMarker, options){
     this.cmMarker = cmMarker;
@@ -51,28 +248,44 @@ export class BlockMarker {
 }
 
 export default class CodeMirrorBlocks {
-  constructor(cm, parser, {toolbar, willInsertNode, didInsertNode, renderOptions} = {}) {
+  constructor(cm, parser, {toolbar, willInsertNode, didInsertNode, renderOptions,
+                          rejectTypeMismatches=false, messages={}} = {}) {
     this.cm = cm;
     this.parser = parser;
+    this.primitives = parser.primitives || null;
+    this.rejectTypeMismatches = rejectTypeMismatches;
+    this.messages = Object.assign({}, MESSAGES, messages);
     this.toolbarNode = toolbar;
     this.willInsertNode = willInsertNode;
     this.didInsertNode = didInsertNode;
     this.renderOptions = renderOptions;
     this.ast = null;
     this.blockMode = false;
-    this.undoKeys = [];
-    this.redoKeys = [];
+    this.selectedNodeIds = [];
+    this.collapsedNodeIds = new Set();
+    this.history = {done: [], undone: []};
+    this.draggedNodes = null;
+    this.held = null;
+    this.search = null;
+    this.selectedPrimitive = null;
     this.keyMap = CodeMirror.keyMap[this.cm.getOption('keyMap')];
 
+    // screen readers read out whatever gets put in the announcer
+    this.announcer = document.createElement('div');
+    this.announcer.className = 'blocks-announcer';
+    this.announcer.setAttribute('aria-live', 'polite');
+    this.cm.getWrapperElement().appendChild(this.announcer);
+
     Object.assign(
       this.cm.getWrapperElement(),
       {
         onkeydown: this.handleKeyDown.bind(this),
-        onclick: this.nodeEventHandler(this.selectNode),
+        onclick: this.nodeEventHandler(this.clickNode),
         ondblclick: this.nodeEventHandler({
           literal: this.editLiteral,
           blank: this.editLiteral,
-          whitespace: this.editWhiteSpace
+          whitespace: this.editWhiteSpace,
+          default: this.toggleCollapsedNode
         }),
         ondragstart: this.nodeEventHandler(this.startDraggingNode),
         ondragend: this.nodeEventHandler(this.stopDraggingNode),
@@ -80,23 +293,24 @@ export default class CodeMirrorBlocks {
         ondrop: this.nodeEventHandler(this.dropOntoNode)
       }
     );
-    // TODO: don't do this, otherwise we copy/paste will only work
-    // when there is one instance of this class on a page.
-    Object.assign(document, {
-      oncut: this.handleCopyCut.bind(this),
-      oncopy: this.handleCopyCut.bind(this)
-    });
 
     var dropHandler = this.nodeEventHandler(this.dropOntoNode, true);
     var dragEnterHandler = this.nodeEventHandler(this.handleDragEnter);
     this.cm.on('drop',      (cm, e) => dropHandler(e));
     this.cm.on('dragenter', (cm, e) => dragEnterHandler(e));
+    this.cm.on('dragover',  (cm, e) => this.handleDragOver(e));
     this.cm.on('keydown',   (cm, e) => this.handleKeyDown(e));
-    this.cm.on('paste',     (cm, e) => this.insertionQuarantine(e));
+    this.cm.on('paste',     (cm, e) => this.handlePaste(e));
+    // clipboard events while a node has focus don't go through codemirror
+    this.cm.getWrapperElement().addEventListener('cut', this.handleCopyCut.bind(this));
+    this.cm.getWrapperElement().addEventListener('copy', this.handleCopyCut.bind(this));
+    this.cm.getWrapperElement().addEventListener('paste', this.handlePaste.bind(this));
+    this.cm.getWrapperElement().addEventListener('focus', this.handleFocus.bind(this), true);
     this.cm.on('keypress',  (cm, e) => this.insertionQuarantine(e));
     this.cm.on('mousedown', (cm, e) => this.cancelIfErrorExists(e));
     this.cm.on('dblclick',  (cm, e) => this.cancelIfErrorExists(e));
-    this.cm.on('change',    this.handleChange.bind(this));
+    this.cm.on('change',    () => this.rememberFocus());
+    this.cm.on('changes',   this.handleChange.bind(this));
   }
 
   setBlockMode(mode) {
@@ -104,9 +318,15 @@ export default class CodeMirrorBlocks {
       return;
     }
     this.blockMode = mode;
+    // the lines of the document hold the blocks, which make up a tree
+    let linesEl = this.cm.getWrapperElement().querySelector('.CodeMirror-code');
     if (this.blockMode) {
+      linesEl.setAttribute('role', 'tree');
+      linesEl.setAttribute('aria-label', this.messages.tree());
       this.render();
     } else {
+      linesEl.setAttribute('role', 'presentation');
+      linesEl.removeAttribute('aria-label');
       this.cm.getAllMarks().forEach(marker => marker.clear());
     }
   }
@@ -115,10 +335,379 @@ export default class CodeMirrorBlocks {
     this.setBlockMode(!this.blockMode);
   }
 
-  handleChange() {
-    if (this.blockMode) {
+  handleChange(cm, changes) {
+    let origin = changes && changes[0].origin;
+    let entry = this.updateHistory(origin);
+    if (!this.blockMode) {
+      return;
+    }
+    if (!this.ast || !changes || !this.renderChanges(changes)) {
       this.render();
     }
+    this.restoreFocus();
+    if (entry) {
+      this.restoreHistoryFocus(entry, origin);
+    } else if (origin != 'undo' && origin != 'redo') {
+      this.updateHistoryFocus();
+    }
+    this.markSelectedNodes();
+  }
+
+  // Block edits are kept as named entries in a history of their own, which
+  // follows along with the text history of CodeMirror. Each entry remembers
+  // how deep the undo history was right after the edit, so that undoing (or
+  // redoing) an edit can be told apart from undoing a change to the text.
+  // Returns whether the edit changed anything.
+  recordHistory(name, text, before, applyEdit) {
+    let depth = this.cm.historySize().undo;
+    applyEdit();
+    let undoDepth = this.cm.historySize().undo;
+    if (undoDepth == depth) {
+      return false; // nothing changed
+    }
+    let node = this.getSelectedNode();
+    this.history.done.push({name, text, before, after: node && node.from, undoDepth});
+    this.history.undone = [];
+    return true;
+  }
+
+  // Edits made inside of a CodeMirror operation, like drops, only get rendered
+  // once the operation ends, after they've been recorded. So the node that a
+  // redo should give focus to gets filled in again here, once it's selected.
+  updateHistoryFocus() {
+    let entry = this.history.done[this.history.done.length - 1];
+    let node = this.getSelectedNode();
+    if (entry && node && entry.undoDepth == this.cm.historySize().undo) {
+      entry.after = node.from;
+    }
+  }
+
+  // moves the history entry that was just undone or redone (if any) over to
+  // the other stack, and returns it
+  updateHistory(origin) {
+    let {done, undone} = this.history;
+    let size = this.cm.historySize();
+    if (origin == 'undo') {
+      let entry = done[done.length - 1];
+      if (entry && entry.undoDepth == size.undo + 1) {
+        entry.redoDepth = size.redo;
+        undone.push(done.pop());
+        return entry;
+      }
+    } else if (origin == 'redo') {
+      let entry = undone[undone.length - 1];
+      if (entry && entry.redoDepth == size.redo + 1) {
+        done.push(undone.pop());
+        return entry;
+      }
+    } else {
+      // any other change clears the redo history
+      this.history.undone = [];
+    }
+    return null;
+  }
+
+  restoreHistoryFocus(entry, origin) {
+    let pos = origin == 'undo' ? entry.before : entry.after;
+    if (pos) {
+      this.focusNodeAt(pos);
+    }
+    this.say(origin == 'undo' ? 'undid' : 'redid', entry.name, entry.text);
+  }
+
+  // Re-rendering replaces the DOM elements of the nodes that changed, so we
+  // hang on to the id of whichever node had focus, and give focus back to the
+  // node that carries that id once everything has been rendered again.
+  rememberFocus() {
+    if (this.blockMode && !this.focusNodeId) {
+      let node = this.getSelectedNode();
+      this.focusNodeId = node && node.id;
+    }
+  }
+
+  restoreFocus() {
+    let node = this.focusNodeId && this.ast.nodeMap.get(this.focusNodeId);
+    this.focusNodeId = null;
+    if (node && node.el && document.activeElement !== node.el) {
+      if (!this.selectedNodeIds.includes(node.id)) {
+        this.selectedNodeIds = [node.id];
+      }
+      node.el.focus();
+    }
+  }
+
+  // These are the edits that can be made to the AST. Each one checks that the
+  // nodes it's given are in the AST, turns the edit into changes to the text,
+  // and applies all of them in a single operation, so that every edit is a
+  // single step in the undo history. Nodes that get inserted can be either
+  // in the AST (in which case their text is copied), nodes from elsewhere
+  // (which get printed), or plain source text.
+
+  replaceNode(node, newNode) {
+    this.checkInAST(node);
+    this.applyEdits([{from: node.from, to: node.to, text: this.getIndentedText(newNode, node.from)}]);
+  }
+
+  // `index` counts the children of `parent` the same way `AST.getChildren`
+  // does. A null `parent` inserts a new root node.
+  insertChild(parent, index, newNode) {
+    if (parent) {
+      this.checkInAST(parent);
+    }
+    this.applyEdits([this.getInsertEdit({parent, index}, newNode)]);
+  }
+
+  removeNode(node) {
+    this.removeNodes([node]);
+  }
+
+  // `nodes` have to be siblings, in source order, and everything from the
+  // first to the last of them gets removed.
+  removeNodes(nodes) {
+    let {from, to} = this.getSiblingRange(nodes);
+    this.applyEdits([this.getRemoveEdit(from, to)]);
+  }
+
+  // `dest` is either a node to replace, a `{parent, index}` pair like the
+  // arguments of `insertChild`, or a position in the document.
+  moveNode(node, dest) {
+    this.moveNodes([node], dest);
+  }
+
+  // moves a run of sibling nodes, along with whatever is between them
+  moveNodes(nodes, dest) {
+    let {from, to} = this.getSiblingRange(nodes);
+    if (nodes.includes(dest)) {
+      return;
+    }
+    let text = this.cm.getRange(from, to);
+    let edit;
+    if (dest instanceof ASTNode) {
+      this.checkInAST(dest);
+      edit = {from: dest.from, to: dest.to, text: reindent(text, from.ch, dest.from.ch)};
+    } else {
+      if (dest.parent) {
+        this.checkInAST(dest.parent);
+      }
+      edit = this.getInsertEdit(dest, nodes[0], text);
+    }
+    let comparePos = this.ast.comparePos;
+    if (comparePos(edit.from, from) == 0 && comparePos(edit.to, from) == 0 ||
+        comparePos(edit.from, to) == 0 && comparePos(edit.to, to) == 0) {
+      return; // the nodes are already there
+    }
+    if (comparePos(edit.from, from) >= 0 && comparePos(edit.to, to) <= 0 ||
+        comparePos(edit.from, from) < 0 && comparePos(edit.to, to) > 0) {
+      throw new Error("A node can't be moved inside of itself");
+    }
+    this.applyEdits([this.getRemoveEdit(from, to, edit.from), edit]);
+  }
+
+  getSiblingRange(nodes) {
+    nodes.forEach(node => this.checkInAST(node));
+    let parent = this.ast.getParent(nodes[0]);
+    if (nodes.some(node => this.ast.getParent(node) !== parent)) {
+      throw new Error("Only nodes that have the same parent can be edited together");
+    }
+    return {from: nodes[0].from, to: nodes[nodes.length - 1].to};
+  }
+
+  // Wraps `node` in a new expression, as its first argument. The function
+  // being called is `primitive`, or a blank if there isn't one, and the rest
+  // of the arguments the primitive takes start out as blanks.
+  wrapNode(node, primitive=null) {
+    this.checkInAST(node);
+    let parts = [primitive ? primitive.name : BLANK_TEXT, this.getNodeText(node)];
+    if (primitive) {
+      for (let i = 1; i < primitive.argumentTypes.length; i++) {
+        parts.push(BLANK_TEXT);
+      }
+    }
+    this.applyEdits([{from: node.from, to: node.to, text: `(${parts.join(' ')})`}]);
+  }
+
+  // Replaces `node` with one of its children, which is the first one that's
+  // a value of its own (like the first argument of an expression, or the body
+  // of a lambda) unless another child is given.
+  unwrapNode(node, child=null) {
+    this.checkInAST(node);
+    if (!child) {
+      child = this.ast.getChildren(node).find(part => !getNonValueParts(node).includes(part));
+    }
+    if (!child || this.ast.getParent(child) !== node) {
+      throw new Error(`Node ${node.id} can't be unwrapped`);
+    }
+    this.replaceNode(node, child);
+  }
+
+  isInAST(node) {
+    return !!this.ast && this.ast.nodeMap.get(node.id) === node;
+  }
+
+  checkInAST(node) {
+    if (!(node instanceof ASTNode) || !this.isInAST(node)) {
+      throw new Error(`Node ${node && node.id} is not in the AST`);
+    }
+  }
+
+  getNodeText(node) {
+    if (typeof node == 'string') {
+      return node;
+    }
+    return this.isInAST(node) ? this.cm.getRange(node.from, node.to) : print(node);
+  }
+
+  // returns the text of `node`, indented to go at `pos`
+  getIndentedText(node, pos, text=this.getNodeText(node)) {
+    let fromCh = typeof node != 'string' && this.isInAST(node) ? node.from.ch : 0;
+    return reindent(text, fromCh, pos.ch);
+  }
+
+  // Asks the parser whether the tokens ending in `before` and starting with
+  // `after` need a space between them to stay apart.
+  needsSpaceBetween(before, after) {
+    if (this.parser.needsSpaceBetween) {
+      return this.parser.needsSpaceBetween(before, after);
+    }
+    return needsSpaceBetween(before, after);
+  }
+
+  // puts spaces around text inserted at `pos` wherever it would run into the
+  // tokens next to it
+  spaceOut(text, pos) {
+    let line = this.cm.getLine(pos.line);
+    if (this.needsSpaceBetween(line[pos.ch - 1] || '\n', text[0])) {
+      text = ' ' + text;
+    }
+    if (this.needsSpaceBetween(text[text.length - 1], line[pos.ch] || '\n')) {
+      text += ' ';
+    }
+    return text;
+  }
+
+  // Works out where the text of `node` goes in the document. Nodes inserted
+  // as a child get separated from their new siblings. Nodes dropped at a
+  // position go right where they were dropped, with spaces around them if
+  // they need any, unless the `willInsertNode` option takes care of the
+  // spacing instead. `didInsertNode` gets called once they're in. Both get
+  // the node being inserted and the node it was dropped onto, which default to
+  // `node` and the node `dest` is inside of.
+  getInsertEdit(dest, node, text=this.getNodeText(node),
+                {sourceNode=node instanceof ASTNode ? node : null, destinationNode} = {}) {
+    if (!('parent' in dest)) {
+      let pos = {line: dest.line, ch: dest.ch};
+      if (destinationNode === undefined) {
+        destinationNode = this.getParentAt(pos);
+      }
+      text = this.getIndentedText(node, pos, text);
+      if (this.willInsertNode) {
+        text = this.willInsertNode(text, sourceNode, pos, destinationNode);
+      } else {
+        text = this.spaceOut(text, pos);
+      }
+      let edit = {from: pos, to: pos, text};
+      if (this.didInsertNode) {
+        edit.done = () => this.didInsertNode(text, sourceNode, pos, destinationNode);
+      }
+      return edit;
+    }
+
+    let {parent, index} = dest;
+    let siblings = parent ? this.ast.getChildren(parent) : this.ast.rootNodes;
+    let separator = parent ? ' ' : '\n';
+    if (!(index >= 0 && index <= siblings.length)) {
+      throw new Error(`Can't insert a node at index ${index}`);
+    }
+    let pos;
+    if (index < siblings.length) {
+      pos = siblings[index].from;
+      text += separator;
+    } else if (siblings.length) {
+      pos = siblings[siblings.length - 1].to;
+      text = separator + text;
+    } else if (parent) {
+      // right before the closing bracket
+      pos = {line: parent.to.line, ch: parent.to.ch - 1};
+    } else {
+      pos = this.cm.posFromIndex(this.cm.getValue().length);
+      text = (this.cm.getValue() ? separator : '') + text;
+    }
+    return {from: pos, to: pos, text: this.getIndentedText(node, pos, text)};
+  }
+
+  // Works out what to remove along with the text from `from` to `to`, so that
+  // no double spaces or empty lines get left behind: the space that separated
+  // it from its neighbours goes too (unless they still need some), and so do
+  // the lines it had to itself. `insertAt` is where something is about to be
+  // inserted, if anywhere, and that whitespace stays.
+  getRemoveEdit(from, to, insertAt=null) {
+    let before = this.cm.getLine(from.line).slice(0, from.ch);
+    let after = this.cm.getLine(to.line).slice(to.ch);
+    let edit;
+    if (!before.trim() && !after.trim()) {
+      let lastLine = this.cm.getLine(to.line);
+      if (to.line < this.cm.lastLine()) {
+        edit = {from: {line: from.line, ch: 0}, to: {line: to.line + 1, ch: 0}};
+      } else if (from.line > this.cm.firstLine()) {
+        let prevLine = this.cm.getLine(from.line - 1);
+        edit = {from: {line: from.line - 1, ch: prevLine.length}, to: {line: to.line, ch: lastLine.length}};
+      } else {
+        edit = {from: {line: from.line, ch: 0}, to: {line: to.line, ch: lastLine.length}};
+      }
+      edit.text = '';
+    } else {
+      let end = {line: to.line, ch: to.ch + after.match(/^\s*/)[0].length};
+      let next = after.trim() ? after.trim()[0] : '\n';
+      let prevLine = before.trim() ? before : null;
+      let start = from;
+      if (!prevLine && after.trim() && from.line > this.cm.firstLine() &&
+          !this.needsSpaceBetween('x', next)) {
+        // a closing bracket (which no token needs a space in front of) would be
+        // left on a line of its own, so it joins the line before
+        prevLine = this.cm.getLine(from.line - 1);
+        start = {line: from.line - 1, ch: prevLine.length};
+      }
+      if (prevLine) {
+        // indentation stays, but any other space before the text goes
+        prevLine = prevLine.slice(0, start.ch).replace(/\s+$/, '');
+        start = {line: start.line, ch: prevLine.length};
+      }
+      let prev = prevLine ? prevLine[prevLine.length - 1] : '\n';
+      edit = {from: start, to: end, text: this.needsSpaceBetween(prev, next) ? ' ' : ''};
+    }
+    let comparePos = this.ast.comparePos;
+    if (insertAt && comparePos(edit.from, insertAt) < 0 && comparePos(insertAt, edit.to) < 0) {
+      return {from, to, text: ''};
+    }
+    return edit;
+  }
+
+  // returns the node that something inserted at `pos` would be a child of
+  getParentAt(pos) {
+    let parent = this.ast.getNodeAt(pos);
+    if (parent && this.ast.comparePos(parent.from, pos) == 0) {
+      parent = this.ast.getParent(parent);
+    }
+    return parent;
+  }
+
+  // Applies a list of `{from, to, text}` edits, all of which are in terms of
+  // the document as it is before any of them are applied.
+  applyEdits(edits) {
+    let comparePos = (a, b) => this.ast ? this.ast.comparePos(a, b) : a.line-b.line || a.ch-b.ch;
+    // going from the end of the document to the start keeps the positions of
+    // the edits that haven't been applied yet valid
+    edits = edits.slice().sort((a, b) => comparePos(b.from, a.from) || comparePos(b.to, a.to));
+    this.cm.operation(() => {
+      for (let edit of edits) {
+        this.cm.replaceRange(edit.text, edit.from, edit.to);
+      }
+      for (let edit of edits) {
+        if (edit.done) {
+          edit.done();
+        }
+      }
+    });
   }
 
   markText(from, to, options) {
@@ -186,27 +775,428 @@ export default class CodeMirrorBlocks {
   }
 
   render() {
-    this.ast = this.parser.parse(this.cm.getValue());
+    let rootNodes = this.parser.parse(this.cm.getValue()).rootNodes;
+    if (this.ast) {
+      reconcile(this.ast.rootNodes, rootNodes);
+    }
+    this.ast = new AST(rootNodes);
     this._clearMarks();
     for (let rootNode of this.ast.rootNodes) {
       render(rootNode, this.cm, this.renderOptions || {});
     }
+    this.updateTree(this.ast.rootNodes);
     ui.renderToolbarInto(this);
   }
 
+  // Gives the elements of `rootNodes`, and everything inside of them, the
+  // attributes of items in a tree: how deep they are, where they are among
+  // their siblings, and whether they have children that are showing. Every
+  // root node gets its position updated too, since adding or removing a root
+  // moves the others.
+  updateTree(rootNodes) {
+    let setPosition = (node, siblings) => {
+      if (node.el) {
+        node.el.setAttribute('aria-posinset', siblings.indexOf(node) + 1);
+        node.el.setAttribute('aria-setsize', siblings.length);
+      }
+    };
+    let update = (node, level, siblings) => {
+      let children = this.ast.getChildren(node);
+      if (node.el) {
+        node.el.setAttribute('aria-level', level);
+        setPosition(node, siblings);
+        if (children.length) {
+          this.renderCollapsed(node);
+        }
+      }
+      children.forEach(child => update(child, level + 1, children));
+    };
+    this.ast.rootNodes.forEach(node => setPosition(node, this.ast.rootNodes));
+    rootNodes.forEach(node => update(node, 1, this.ast.rootNodes));
+    this.updateTabStop();
+    if (this.search) {
+      this.markMatches();
+    }
+  }
+
+  // Only one node at a time can be tabbed to, so that tab moves past the
+  // blocks rather than through every one of them. It's the selected node, or
+  // the first one if nothing is selected.
+  updateTabStop() {
+    let wrapper = this.cm.getWrapperElement();
+    for (let el of Array.from(wrapper.querySelectorAll('.blocks-node[tabindex="0"]'))) {
+      el.tabIndex = -1;
+    }
+    let node = this.getSelectedNode() ||
+      this.selectedNodeIds.map(id => this.ast.nodeMap.get(id)).find(node => node && node.el) ||
+      this.ast.rootNodes.find(node => node.el && !this.isNodeHidden(node));
+    if (node) {
+      node.el.tabIndex = 0;
+    }
+  }
+
+  // Re-parses and re-renders only the top level nodes touched by a batch of
+  // changes. Every other node keeps its place in the AST and its marker, and
+  // just has its position shifted. Returns false if the changed text can't be
+  // parsed on its own, in which case the whole document needs to be rendered.
+  renderChanges(changes) {
+    let {from, to, delta} = getChangedLines(changes);
+    let roots = this.ast.rootNodes;
+
+    // widen the range of lines until it covers every root node it touches
+    let start = roots.findIndex(node => node.to.line >= from);
+    if (start == -1) {
+      start = roots.length;
+    } else {
+      from = Math.min(from, roots[start].from.line);
+    }
+    while (start > 0 && roots[start - 1].to.line >= from) {
+      start--;
+      from = Math.min(from, roots[start].from.line);
+    }
+    let end = start;
+    while (end < roots.length && roots[end].from.line <= to) {
+      to = Math.max(to, roots[end].to.line);
+      end++;
+    }
+
+    let lastLine = to + delta;
+    let range = {
+      from: {line: from, ch: 0},
+      to: {line: lastLine, ch: this.cm.getLine(lastLine).length}
+    };
+    let newRoots;
+    try {
+      // pad the text with newlines so the parser reports the right positions
+      let text = this.cm.getRange(range.from, range.to);
+      newRoots = this.parser.parse('\n'.repeat(from) + text).rootNodes;
+    } catch (e) {
+      return false;
+    }
+    reconcile(roots.slice(start, end), newRoots);
+
+    this.cm.operation(() => {
+      for (let mark of this.cm.findMarks(range.from, range.to)) {
+        mark.clear();
+      }
+      if (delta) {
+        roots.slice(end).forEach(node => shiftNode(node, delta));
+      }
+      for (let rootNode of newRoots) {
+        render(rootNode, this.cm, this.renderOptions || {});
+      }
+    });
+    this.ast = new AST(roots.slice(0, start).concat(newRoots, roots.slice(end)));
+    this.updateTree(newRoots);
+    return true;
+  }
+
+  // Collapsed nodes show a one line summary in place of everything inside of
+  // them. They're kept track of by id, which nodes keep when the document gets
+  // re-parsed, so they stay collapsed when it's rendered again.
+  isNodeCollapsed(node) {
+    return this.collapsedNodeIds.has(node.id);
+  }
+
+  collapseNode(node) {
+    return this.setNodeCollapsed(node, true);
+  }
+
+  expandNode(node) {
+    return this.setNodeCollapsed(node, false);
+  }
+
+  toggleNode(node) {
+    return this.setNodeCollapsed(node, !this.isNodeCollapsed(node));
+  }
+
+  // Returns false if there was nothing to do, because `node` was already
+  // collapsed or expanded, or has nothing inside of it to collapse.
+  setNodeCollapsed(node, collapsed) {
+    this.checkInAST(node);
+    if (collapsed == this.isNodeCollapsed(node) || !this.ast.getChildren(node).length) {
+      return false;
+    }
+    if (collapsed) {
+      this.collapsedNodeIds.add(node.id);
+    } else {
+      this.collapsedNodeIds.delete(node.id);
+    }
+    if (node.el) {
+      this.renderCollapsed(node);
+      // the selection can't stay on nodes that just got hidden
+      if (collapsed && node.el !== document.activeElement && node.el.contains(document.activeElement)) {
+        this.selectedNodeIds = [node.id];
+        this.focusNode(node);
+      }
+    }
+    return true;
+  }
+
+  renderCollapsed(node) {
+    let collapsed = this.isNodeCollapsed(node);
+    let summaryEl = Array.from(node.el.children).find(el => el.classList.contains('blocks-summary'));
+    node.el.classList.toggle('blocks-collapsed', collapsed);
+    node.el.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+    if (collapsed && !summaryEl) {
+      summaryEl = document.createElement('span');
+      summaryEl.className = 'blocks-summary';
+      summaryEl.textContent = this.summarizeNode(node);
+      node.el.appendChild(summaryEl);
+    } else if (!collapsed && summaryEl) {
+      summaryEl.remove();
+    }
+  }
+
+  summarizeNode(node) {
+    switch (node.type) {
+    case 'functionDef':
+      return this.messages.functionSummary(this.getNodeText(node.name), node.args.length);
+    case 'expression':
+      return this.messages.expressionSummary(this.getNodeText(node.func), node.args.length);
+    default:
+      return this.messages.summary(
+        node.options['aria-label'] || this.getNodeText(node).split('\n')[0].trim());
+    }
+  }
+
+  // Finds the literals, like numbers, strings, and the symbols that name
+  // functions and variables, whose values match `query`, which is a string or
+  // a regular expression. With `wholeSymbol`, a string only matches values
+  // that are all of it rather than part of it. `dataType` is the data type, or
+  // list of data types, of literals to look at. Returns the matching nodes in
+  // source order.
+  findMatches(query, {wholeSymbol=false, caseSensitive=false, dataType=null} = {}) {
+    let dataTypes = dataType && [].concat(dataType);
+    let normalize = text => caseSensitive ? text : text.toLowerCase();
+    // a global or sticky regular expression would start each test where the
+    // last one left off
+    let regexp = typeof query == 'string' ? null :
+      new RegExp(query.source, query.flags.replace(/[gy]/g, ''));
+    let matches = regexp ? text => regexp.test(text) :
+      wholeSymbol ? text => normalize(text) == normalize(query) :
+      text => normalize(text).includes(normalize(query));
+    return Array.from(this.ast.nodeMap.values()).filter(node =>
+      node.type == 'literal' &&
+      (!dataTypes || dataTypes.includes(node.dataType)) &&
+      matches(`${node.value}`));
+  }
+
+  // Highlights the matches of `query`, which stay highlighted while the
+  // document gets edited, and selects the first of them. `findNext` and
+  // `findPrev` then step through the rest, until `stopFinding` gets called.
+  // Matches that didn't get rendered, and so can't be shown, are left out.
+  startFinding(query, options={}) {
+    this.search = {query, options, matchIds: [], currentId: null};
+    this.markMatches();
+    this.findNext();
+    return this.search.matchIds.map(id => this.ast.nodeMap.get(id));
+  }
+
+  stopFinding() {
+    this.search = null;
+    this.markMatches();
+  }
+
+  // Asks what to find the same way CodeMirror's search addon does: in a
+  // dialog at the top of the editor if the dialog addon is loaded, or with a
+  // prompt if it isn't.
+  promptToFind() {
+    let value = this.search ? `${this.search.query}` : '';
+    let find = query => {
+      if (query) {
+        this.startFinding(query);
+      }
+    };
+    if (this.cm.openDialog) {
+      let dialog = document.createElement('span');
+      let label = document.createElement('span');
+      label.textContent = this.messages.findPrompt();
+      let input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'CodeMirror-search-field';
+      dialog.appendChild(label);
+      dialog.appendChild(document.createTextNode(' '));
+      dialog.appendChild(input);
+      // closing the dialog gives the editor focus, which would take it away
+      // from the first match if that happened afterwards
+      let close = this.cm.openDialog(dialog, query => {
+        close();
+        find(query);
+      }, {value, selectValueOnOpen: true, closeOnEnter: false});
+    } else {
+      find(window.prompt(this.messages.findPrompt(), value));
+    }
+  }
+
+  findNext() {
+    this.selectMatch(1);
+  }
+
+  findPrev() {
+    this.selectMatch(-1);
+  }
+
+  selectMatch(direction) {
+    let {query, matchIds, currentId} = this.search;
+    if (!matchIds.length) {
+      this.say('noMatches', `${query}`);
+      return;
+    }
+    let index = matchIds.indexOf(currentId);
+    if (index == -1) {
+      index = direction > 0 ? 0 : matchIds.length - 1;
+    } else {
+      index = (index + direction + matchIds.length) % matchIds.length;
+    }
+    let node = this.ast.nodeMap.get(matchIds[index]);
+    this.search.currentId = node.id;
+    this.revealNode(node);
+    this.selectedNodeIds = [node.id];
+    this.focusNode(node);
+    this.say('match', this.getNodeLabel(node), index + 1, matchIds.length);
+  }
+
+  // finds the matches again, since the document might have changed, and
+  // highlights them
+  markMatches() {
+    let wrapper = this.cm.getWrapperElement();
+    for (let el of Array.from(wrapper.querySelectorAll('.blocks-match'))) {
+      el.classList.remove('blocks-match');
+    }
+    if (!this.search) {
+      return;
+    }
+    let nodes = this.findMatches(this.search.query, this.search.options).filter(node => node.el);
+    this.search.matchIds = nodes.map(node => node.id);
+    nodes.forEach(node => node.el.classList.add('blocks-match'));
+  }
+
+  // expands the collapsed nodes `node` is inside of, and shows the hidden
+  // ones, until the next time they get rendered
+  revealNode(node) {
+    for (let ancestor of this.ast.getAncestors(node)) {
+      this.expandNode(ancestor);
+      if (ancestor.el) {
+        ancestor.el.classList.remove('blocks-hidden');
+      }
+    }
+    if (node.el) {
+      node.el.classList.remove('blocks-hidden');
+    }
+  }
+
   getSelectedNode() {
     return this.findNodeFromEl(document.activeElement);
   }
 
+  // Several sibling nodes can be selected at once, in which case the node
+  // with focus is one of them. Otherwise, only the node with focus is.
+  getSelectedNodes() {
+    let node = this.getSelectedNode();
+    if (!node) {
+      return [];
+    }
+    if (!this.selectedNodeIds.includes(node.id)) {
+      return [node];
+    }
+    return this.selectedNodeIds.map(id => this.ast.nodeMap.get(id))
+      .filter(node => node)
+      .sort((a, b) => this.ast.comparePos(a.from, b.from));
+  }
+
   selectNode(node, event) {
     event.stopPropagation();
+    this.selectedNodeIds = [node.id];
+    this.focusNode(node);
+    this.announce(this.describeNode(node));
+  }
+
+  focusNode(node) {
     node.el.focus();
     this.cm.scrollIntoView(node.from);
+    this.markSelectedNodes();
+  }
+
+  // selects whichever node is at `pos` once the document has been edited
+  focusNodeAt(pos) {
+    let node = this.ast.getNodeAt(pos);
+    if (node && node.el) {
+      this.selectedNodeIds = [node.id];
+      this.focusNode(node);
+    }
+  }
+
+  clickNode(node, event) {
+    if (event.shiftKey) {
+      this.extendSelection(node, event);
+    } else {
+      this.selectNode(node, event);
+    }
   }
 
+  // selects every sibling from the node the selection started at up to `node`
+  extendSelection(node, event) {
+    let anchor = this.ast.nodeMap.get(this.selectedNodeIds[0]);
+    let siblings = anchor && this.ast.getSiblings(anchor);
+    if (!anchor || !siblings.includes(node)) {
+      this.selectNode(node, event);
+      return;
+    }
+    event.stopPropagation();
+    let [start, end] = [siblings.indexOf(anchor), siblings.indexOf(node)];
+    let selected = start <= end ? siblings.slice(start, end + 1) : siblings.slice(end, start + 1).reverse();
+    this.selectedNodeIds = selected.filter(node => !this.isNodeHidden(node)).map(node => node.id);
+    this.focusNode(node);
+    this.say('blocksSelected', this.selectedNodeIds.length);
+  }
+
+  markSelectedNodes() {
+    let wrapper = this.cm.getWrapperElement();
+    for (let el of Array.from(wrapper.querySelectorAll('.blocks-selected'))) {
+      el.classList.remove('blocks-selected');
+    }
+    let nodes = this.selectedNodeIds.map(id => this.ast && this.ast.nodeMap.get(id));
+    if (nodes.length > 1) {
+      nodes.filter(node => node && node.el).forEach(node => node.el.classList.add('blocks-selected'));
+    }
+    this.updateTabStop();
+  }
+
+  // nodes that get focus some other way than being selected, like by tabbing
+  // back into the editor, get selected
+  handleFocus(event) {
+    let node = this.findNodeFromEl(event.target);
+    if (this.blockMode && node && node.el === event.target && !this.selectedNodeIds.includes(node.id)) {
+      this.selectNode(node, event);
+    }
+  }
+
+  announce(text) {
+    this.announcer.textContent = text;
+  }
+
+  // announces one of the `messages`, given the details it needs
+  say(message, ...details) {
+    this.announce(this.messages[message](...details));
+  }
+
+  getNodeLabel(node) {
+    return node.options['aria-label'] || this.getNodeText(node);
+  }
+
+  // describes a node, along with where it is among its siblings
+  describeNode(node) {
+    let siblings = this.ast.getSiblings(node);
+    return this.messages.selected(
+      this.getNodeLabel(node), this.ast.getSiblingIndex(node) + 1, siblings.length);
+  }
+
+  // nodes inside of collapsed nodes are hidden too, but not the collapsed
+  // nodes themselves
   isNodeHidden(node) {
     return (node.el.classList.contains('blocks-hidden') ||
-      node.el.matches('.blocks-hidden *'));
+      node.el.matches('.blocks-hidden *, .blocks-collapsed *'));
   }
 
   selectNextNode(event) {
@@ -227,30 +1217,162 @@ export default class CodeMirrorBlocks {
     this.selectNode(prevNode, event);
   }
 
+  // The arrow keys move around the tree of nodes: up to the parent of the
+  // selected node, down to its first child, and left and right between its
+  // siblings. If there's nowhere to go, the selection stays put and the
+  // reason gets announced.
+  selectParentNode(event) {
+    let parent = this.ast.getAncestors(this.getSelectedNode())
+      .find(node => !this.isNodeHidden(node));
+    this.selectNodeOrAnnounce(parent, event, 'topLevel');
+  }
+
+  selectFirstChildNode(event) {
+    let node = this.getSelectedNode();
+    let child = this.ast.getChildren(node)
+      .find(node => !this.isNodeHidden(node));
+    this.selectNodeOrAnnounce(child, event, this.isNodeCollapsed(node) ? 'collapsedInside' : 'nothingInside');
+  }
+
+  selectNextSiblingNode(event) {
+    let node = this.ast.getNextSibling(this.getSelectedNode());
+    while (node && this.isNodeHidden(node)) {
+      node = this.ast.getNextSibling(node);
+    }
+    this.selectNodeOrAnnounce(node, event, 'lastBlock');
+  }
+
+  extendSelectionToNextSibling(event) {
+    let node = this.ast.getNextSibling(this.getSelectedNode());
+    while (node && this.isNodeHidden(node)) {
+      node = this.ast.getNextSibling(node);
+    }
+    if (node) {
+      this.extendSelection(node, event);
+    } else {
+      this.say('lastBlock');
+    }
+  }
+
+  extendSelectionToPrevSibling(event) {
+    let node = this.ast.getPrevSibling(this.getSelectedNode());
+    while (node && this.isNodeHidden(node)) {
+      node = this.ast.getPrevSibling(node);
+    }
+    if (node) {
+      this.extendSelection(node, event);
+    } else {
+      this.say('firstBlock');
+    }
+  }
+
+  selectPrevSiblingNode(event) {
+    let node = this.ast.getPrevSibling(this.getSelectedNode());
+    while (node && this.isNodeHidden(node)) {
+      node = this.ast.getPrevSibling(node);
+    }
+    this.selectNodeOrAnnounce(node, event, 'firstBlock');
+  }
+
+  selectFirstRootNode(event) {
+    let node = this.ast.rootNodes.find(node => !this.isNodeHidden(node));
+    this.selectNodeOrAnnounce(node, event, 'noBlocks');
+  }
+
+  selectLastRootNode(event) {
+    let node = this.ast.rootNodes.slice().reverse().find(node => !this.isNodeHidden(node));
+    this.selectNodeOrAnnounce(node, event, 'noBlocks');
+  }
+
+  // selects the innermost definition the selected node is in
+  selectDefinitionNode(event) {
+    let node = this.getSelectedNode();
+    let definition = [node].concat(this.ast.getAncestors(node))
+      .find(node => DEFINITION_TYPES.includes(node.type) && !this.isNodeHidden(node));
+    this.selectNodeOrAnnounce(definition, event, 'notInDefinition');
+  }
+
+  // the primitive that's selected in the toolbar, if any, is the function
+  // that nodes get wrapped in
+  selectPrimitive(primitive) {
+    this.selectedPrimitive = primitive;
+  }
+
+  wrapSelectedNode() {
+    let node = this.getSelectedNode();
+    let from = node.from;
+    this.recordHistory('wrap', this.getNodeText(node), from, () => {
+      this.wrapNode(node, this.selectedPrimitive);
+      this.focusNodeAt(from);
+    });
+  }
+
+  // replaces the parent of the selected node with the selected node
+  unwrapSelectedNode() {
+    let node = this.getSelectedNode();
+    let parent = this.ast.getParent(node);
+    if (!parent) {
+      this.say('topLevel');
+      return;
+    }
+    let from = parent.from;
+    this.recordHistory('unwrap', this.getNodeText(parent), from, () => {
+      this.unwrapNode(parent, node);
+      this.focusNodeAt(from);
+    });
+  }
+
+  collapseSelectedNodes() {
+    this.setSelectedNodesCollapsed(true);
+  }
+
+  expandSelectedNodes() {
+    this.setSelectedNodesCollapsed(false);
+  }
+
+  setSelectedNodesCollapsed(collapsed) {
+    let nodes = this.getSelectedNodes();
+    let changed = nodes.filter(node => this.setNodeCollapsed(node, collapsed));
+    if (changed.length) {
+      this.say(collapsed ? 'collapsed' : 'expanded', changed.map(node => this.getNodeLabel(node)).join(', '));
+    } else if (!nodes.some(node => this.ast.getChildren(node).length)) {
+      this.say('nothingInside');
+    }
+  }
+
+  // double clicking a node collapses it, or expands it if it's collapsed
+  toggleCollapsedNode(node, event) {
+    if (this.toggleNode(node)) {
+      event.stopPropagation();
+      this.say(this.isNodeCollapsed(node) ? 'collapsed' : 'expanded', this.getNodeLabel(node));
+    }
+  }
+
+  // `message` is the name of the message to announce if there's no node
+  selectNodeOrAnnounce(node, event, message) {
+    if (node) {
+      this.selectNode(node, event);
+    } else {
+      this.say(message);
+    }
+  }
+
+  // Copying puts the text of the selected nodes on the clipboard, along with
+  // the nodes themselves, so that pasting them into another editor keeps them
+  // as they are.
   handleCopyCut(event) {
-    var activeEl = document.activeElement;
-    if (!this.getSelectedNode()) {
+    let nodes = this.getSelectedNodes();
+    if (!nodes.length || document.activeElement.classList.contains('blocks-editing')) {
       return;
     }
-    var node = this.getSelectedNode();
+    event.preventDefault();
     event.stopPropagation();
-    var buffer = document.createElement('textarea');
-    document.body.appendChild(buffer);
-    buffer.style.opacity = "0";
-    buffer.style.position = "absolute";
-    buffer.innerText = this.cm.getRange(node.from, node.to);
-    buffer.select();
-    try {
-      document.execCommand && document.execCommand(event.type);
-    } catch (e) {
-      console.error("execCommand doesn't work in this browser :(", e);
-    }
-    setTimeout(() => {
-      activeEl.focus();
-      buffer.parentNode && buffer.parentNode.removeChild(buffer);
-    }, 200);
-    if (event.type == 'cut') {
-      this.cm.replaceRange('', node.from, node.to);
+    let {from, to} = this.getSiblingRange(nodes);
+    let text = this.cm.getRange(from, to);
+    event.clipboardData.setData('text/plain', text);
+    event.clipboardData.setData(FRAGMENT_TYPE, JSON.stringify(nodes.map(node => node.toJSON())));
+    if (event.type == 'cut' && this.recordHistory('cut', text, from, () => this.removeNodes(nodes))) {
+      this.say('cut', text);
     }
   }
 
@@ -264,7 +1386,11 @@ export default class CodeMirrorBlocks {
     nodeEl.contentEditable = false;
     nodeEl.classList.remove('blocks-editing');
     nodeEl.classList.remove('blocks-error');
-    this.cm.replaceRange(text, range.from, range.to);
+    if (range instanceof ASTNode && this.isInAST(range)) {
+      this.replaceNode(range, text);
+    } else {
+      this.applyEdits([{from: range.from, to: range.to, text}]);
+    }
   }
 
   checkEditableEl(nodeEl, text) {
@@ -273,24 +1399,41 @@ export default class CodeMirrorBlocks {
       nodeEl.title = '';
       return true;
     } catch (e) {
-      nodeEl.classList.add('blocks-error');
-      try {
-        nodeEl.title = this.parser.getExceptionMessage(e);
-      } catch (e) {
-        console.error(e);
-      }
+      this.markError(nodeEl, e);
+      this.say('parseError', text, nodeEl.title);
       return false;
     }
   }
 
+  markError(el, error) {
+    el.classList.add('blocks-error');
+    try {
+      el.title = this.parser.getExceptionMessage(error);
+    } catch (e) {
+      console.error(e);
+    }
+  }
+
   saveEdit(node, nodeEl, event) {
     event.preventDefault();
     if (this.checkEditableEl(nodeEl, nodeEl.innerText)) {
+      let [name, text, before] = ['insert', nodeEl.innerText, null];
       if(node.quarantine){
         nodeEl.innerText += " "; // add space to avoid merging with nextSibling
         node.quarantine.clear(); // get rid of the quarantine bookmark
+      } else {
+        this.focusNodeId = node.id;
+        [name, text, before] = ['edit', nodeEl.oldText, node.from];
+      }
+      let newText = nodeEl.innerText.trim();
+      if (this.recordHistory(name, text, before,
+                             () => this.saveEditableEl(nodeEl, nodeEl.innerText, node))) {
+        if (name == 'edit') {
+          this.say('edited', text, newText);
+        } else {
+          this.say('inserted', newText, this.describeDropLocation(this.getDropLocation([], node.from)));
+        }
       }
-      this.saveEditableEl(nodeEl, nodeEl.innerText, node);
       this.hasInvalidEdit = false;
     } else {
       // If the node doesn't parse, wrest the focus back after a few ms
@@ -345,23 +1488,67 @@ export default class CodeMirrorBlocks {
   }
 
   deleteSelectedNodes() {
-    let node = this.getSelectedNode();
-    if (node) {
-      this.cm.replaceRange('', node.from, node.to);
+    let nodes = this.getSelectedNodes();
+    if (nodes.length) {
+      let {from, to} = this.getSiblingRange(nodes);
+      let text = this.cm.getRange(from, to);
+      if (this.recordHistory('delete', text, from, () => this.removeNodes(nodes))) {
+        this.say('deleted', text);
+      }
     }
   }
 
   startDraggingNode(node, event) {
     event.stopPropagation();
     node.el.classList.add('blocks-dragging');
-    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.effectAllowed = 'copyMove';
     event.dataTransfer.setDragImage(node.el, -5, -5);
     event.dataTransfer.setData('text/plain', this.cm.getRange(node.from, node.to));
     event.dataTransfer.setData('text/id', node.id);
+    this.draggedNodes = [node];
+    // dragging one of several selected nodes drags all of them
+    let nodes = this.getSelectedNodes();
+    if (nodes.length > 1 && nodes.includes(node)) {
+      this.draggedNodes = nodes;
+      let {from, to} = this.getSiblingRange(nodes);
+      event.dataTransfer.setData('text/plain', this.cm.getRange(from, to));
+      event.dataTransfer.setData('text/ids', JSON.stringify(nodes.map(node => node.id)));
+    }
   }
 
   stopDraggingNode(node) {
     node.el.classList.remove('blocks-dragging');
+    this.draggedNodes = null;
+    this.cm.getWrapperElement().classList.remove('blocks-copying');
+  }
+
+  // Holding down alt or ctrl while dragging copies nodes instead of moving
+  // them, and the cursor and the highlighted drop target show which it is.
+  handleDragOver(event) {
+    if (!this.blockMode || !this.isDropTarget(event.target)) {
+      return;
+    }
+    let copying = isCopyDrag(event);
+    event.dataTransfer.dropEffect = copying ? 'copy' : 'move';
+    this.cm.getWrapperElement().classList.toggle('blocks-copying', copying);
+  }
+
+  // deletes the nodes being dragged when they're dropped onto the trash
+  dropOntoTrash(event) {
+    if (!this.blockMode) {
+      return;
+    }
+    let ids = event.dataTransfer.getData('text/ids');
+    ids = ids ? JSON.parse(ids) : [event.dataTransfer.getData('text/id')];
+    let nodes = ids.map(id => this.ast && this.ast.nodeMap.get(id));
+    if (!nodes.length || nodes.includes(undefined)) {
+      return; // nodes from the toolbar can't be thrown away
+    }
+    let {from, to} = this.getSiblingRange(nodes);
+    let text = this.cm.getRange(from, to);
+    if (this.recordHistory('delete', text, from, () => this.removeNodes(nodes))) {
+      this.say('deleted', text);
+    }
   }
 
   isDropTarget(el) {
@@ -375,22 +1562,195 @@ export default class CodeMirrorBlocks {
     return !node; // things outside of nodes are drop targets
   }
 
+  // returns the type mismatch that dropping the dragged nodes here would
+  // cause, if any
   handleDragEnter(node, event) {
     if (this.isDropTarget(event.target)) {
       event.stopPropagation();
       var el = node && this.isDropTarget(node.el) && node.el || event.target;
       el.classList.add('blocks-over-target');
+      // warn about drops that break the contract of the function they're in
+      let dest = node && ['literal', 'blank'].includes(node.type) ? node : getLocationFromEl(el);
+      let mismatch = this.draggedNodes && dest && this.getTypeMismatch(this.draggedNodes, dest);
+      if (mismatch) {
+        markTypeMismatch(el, mismatch);
+        this.announce(mismatch);
+        return mismatch;
+      }
     }
+    return null;
   }
 
   handleDragLeave(node, event) {
     if (this.isDropTarget(event.target)) {
       event.stopPropagation();
-      event.target.classList.remove('blocks-over-target');
+      clearDropHighlight(event.target);
       if (node) {
-        node.el.classList.remove('blocks-over-target');
+        clearDropHighlight(node.el);
+      }
+    }
+  }
+
+  // Nodes can be moved with the keyboard too: they get picked up, then the
+  // arrow keys go through the places they could be dropped (everything from
+  // the whitespace between nodes to blanks), and enter drops them there.
+  pickUpSelectedNodes() {
+    let node = this.getSelectedNode();
+    let event = {dataTransfer: createDataTransfer(), stopPropagation() {}};
+    this.startDraggingNode(node, event);
+    this.held = {node, nodes: this.draggedNodes, dataTransfer: event.dataTransfer, targetEl: null};
+    let {from, to} = this.getSiblingRange(this.held.nodes);
+    this.say('pickedUp', this.cm.getRange(from, to));
+  }
+
+  // returns the elements of the places the held nodes can be dropped, in
+  // document order
+  getDropTargetEls() {
+    let els = this.cm.getWrapperElement().querySelectorAll('.blocks-drop-target, .blocks-blank');
+    return Array.from(els).filter(el =>
+      !this.held.nodes.some(node => node.el.contains(el)) && !el.matches('.blocks-hidden *, .blocks-collapsed *'));
+  }
+
+  selectNextDropTarget() {
+    let reference = this.held.targetEl || this.held.nodes[this.held.nodes.length - 1].el;
+    this.selectDropTarget(this.getDropTargetEls().find(el =>
+      reference.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_FOLLOWING));
+  }
+
+  selectPrevDropTarget() {
+    let reference = this.held.targetEl || this.held.nodes[0].el;
+    this.selectDropTarget(this.getDropTargetEls().reverse().find(el =>
+      reference.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_PRECEDING));
+  }
+
+  selectDropTarget(el) {
+    if (!el) {
+      this.say('nowhereToDrop');
+      return;
+    }
+    let fakeEvent = target => ({target, stopPropagation() {}});
+    if (this.held.targetEl) {
+      this.handleDragLeave(this.findNodeFromEl(this.held.targetEl), fakeEvent(this.held.targetEl));
+    }
+    this.held.targetEl = el;
+    let mismatch = this.handleDragEnter(this.findNodeFromEl(el), fakeEvent(el));
+    let description = this.describeDropTarget(el);
+    if (mismatch) {
+      this.say('withTypeMismatch', description, mismatch);
+    } else {
+      this.announce(description);
+    }
+  }
+
+  // says where something dropped onto `el` would go
+  describeDropTarget(el) {
+    let node = this.findNodeFromEl(el);
+    if (el.classList.contains('blocks-blank')) {
+      return this.messages.onto(this.describeNode(node));
+    }
+    let pos = getLocationFromEl(el);
+    let siblings = node ? this.ast.getChildren(node) : this.ast.rootNodes;
+    let next = siblings.find(sibling => this.ast.comparePos(sibling.from, pos) >= 0);
+    let prev = siblings.slice().reverse().find(sibling => this.ast.comparePos(sibling.to, pos) <= 0);
+    let where = next ? this.messages.before(this.getNodeLabel(next)) :
+                prev ? this.messages.after(this.getNodeLabel(prev)) : this.messages.atStart();
+    return this.messages.dropTarget(where, node && this.getNodeLabel(node));
+  }
+
+  dropHeldNodes() {
+    let {node, dataTransfer, targetEl} = this.held;
+    if (!targetEl) {
+      this.say('noDropTarget');
+      return;
+    }
+    this.held = null;
+    this.stopDraggingNode(node);
+    let rect = targetEl.getBoundingClientRect();
+    this.dropOntoNode(this.findNodeFromEl(targetEl), {
+      target: targetEl,
+      dataTransfer,
+      pageX: rect.left + window.pageXOffset,
+      pageY: rect.top + window.pageYOffset,
+      preventDefault() {},
+      stopPropagation() {}
+    });
+  }
+
+  cancelHoldingNodes() {
+    let {node, nodes, targetEl} = this.held;
+    if (targetEl) {
+      this.handleDragLeave(this.findNodeFromEl(targetEl), {target: targetEl, stopPropagation() {}});
+    }
+    this.held = null;
+    this.stopDraggingNode(node);
+    let {from, to} = this.getSiblingRange(nodes);
+    this.say('stoppedMoving', this.cm.getRange(from, to));
+    node.el.focus();
+  }
+
+  // Primitive contracts say what type each argument of a function should be,
+  // and what type it returns. Anything without a contract has no known type.
+
+  getPrimitive(func) {
+    if (!this.primitives || !func || func.type != 'literal') {
+      return null;
+    }
+    return this.primitives.getPrimitive(`${func.value}`);
+  }
+
+  getNodeType(node) {
+    if (node.type == 'literal') {
+      return LITERAL_TYPES[node.dataType] || null;
+    }
+    let primitive = node.type == 'expression' && this.getPrimitive(node.func);
+    return primitive && primitive.returnType || null;
+  }
+
+  // Works out which node `nodes` would end up inside of if they were dropped
+  // at `dest` (a node they'd replace, or a position), and which of its
+  // arguments the first of them would be (or -1 if it wouldn't be one).
+  getDropLocation(nodes, dest) {
+    let parent, index;
+    if (dest instanceof ASTNode) {
+      parent = this.ast.getParent(dest);
+      index = parent && parent.args ? parent.args.indexOf(dest) : -1;
+    } else {
+      parent = this.getParentAt(dest);
+      index = parent && parent.args ? parent.args.filter(
+        arg => !nodes.includes(arg) && this.ast.comparePos(arg.from, dest) < 0
+      ).length : -1;
+    }
+    return {parent, index};
+  }
+
+  // describes where the drop location of `getDropLocation` is
+  describeDropLocation({parent, index}) {
+    if (!parent) {
+      return this.messages.atTopLevel();
+    }
+    if (parent.type == 'expression' && index >= 0) {
+      return this.messages.argument(index + 1, this.getNodeText(parent.func));
+    }
+    return this.messages.inside(this.getNodeLabel(parent));
+  }
+
+  // Explains why `nodes` don't fit the contract of the function they'd be
+  // arguments of at `dest` (a node they'd replace, or a position), or returns
+  // null if they do fit, or if there's no contract to go by.
+  getTypeMismatch(nodes, dest) {
+    let {parent, index} = this.getDropLocation(nodes, dest);
+    let primitive = parent && parent.type == 'expression' && this.getPrimitive(parent.func);
+    if (!primitive || index < 0) {
+      return null;
+    }
+    for (let i = 0; i < nodes.length; i++) {
+      let expected = primitive.argumentTypes[index + i];
+      let actual = this.getNodeType(nodes[i]);
+      if (expected && actual && expected != actual) {
+        return this.messages.typeMismatch(primitive.name, expected, this.getNodeText(nodes[i]), actual);
       }
     }
+    return null;
   }
 
   findNodeFromEl(el) {
@@ -411,31 +1771,47 @@ export default class CodeMirrorBlocks {
     }
     event.preventDefault();
     event.stopPropagation();
-    event.target.classList.remove('blocks-over-target');
+    clearDropHighlight(event.target);
+    this.cm.getWrapperElement().classList.remove('blocks-copying');
+    this.draggedNodes = null;
     let nodeId = event.dataTransfer.getData('text/id');
     let sourceNodeText = event.dataTransfer.getData('text/plain');
     let sourceNodeJSON = event.dataTransfer.getData('text/json');
+    let sourceNodeIds = event.dataTransfer.getData('text/ids');
     let sourceNode = null;
+    let sourceNodes = null;
 
     if (nodeId) {
       sourceNode = this.ast.nodeMap.get(nodeId);
       if (sourceNode) {
         sourceNodeText = this.cm.getRange(sourceNode.from, sourceNode.to);
+        sourceNodes = [sourceNode];
+        if (sourceNodeIds) {
+          sourceNodes = JSON.parse(sourceNodeIds).map(id => this.ast.nodeMap.get(id));
+          if (sourceNodes.includes(undefined)) {
+            console.error("some of the nodes", sourceNodeIds, "are not in the AST");
+            return;
+          }
+          sourceNodeText = this.cm.getRange(sourceNodes[0].from, sourceNodes[sourceNodes.length - 1].to);
+        }
       } else {
         console.error("node", nodeId, "not found in AST");
       }
     } else if (sourceNodeJSON) {
-      sourceNode = JSON.parse(sourceNodeJSON);
+      sourceNode = ASTNode.fromJSON(JSON.parse(sourceNodeJSON));
     } else {
       console.error("data transfer contains no node id. Not sure how to proceed.");
     }
 
+    let copying = this.isInAST(sourceNode) && isCopyDrag(event);
     let destination = getLocationFromEl(event.target);
+    let destinationOutside = false;
 
     if (!destination) {
       // event.target probably isn't a drop target, so just get the location from the event
       destination = this.cm.coordsChar({left:event.pageX, top:event.pageY});
-      if (destination.outside) {
+      destinationOutside = !!destination.outside;
+      if (destinationOutside && (!this.isInAST(sourceNode) || copying)) {
         sourceNodeText = '\n' + sourceNodeText;
       }
     }
@@ -443,53 +1819,72 @@ export default class CodeMirrorBlocks {
     // impact on the AST.  For example, start with:
     //   (or #t #f)
     // then try to move the #f over one space. It should be a no-op.
-    if ((destination.line == sourceNode.to.line && destination.ch == sourceNode.to.ch) ||
-        (destination.line == sourceNode.from.line && destination.ch == sourceNode.from.ch)) {
+    let {from, to} = sourceNodes ?
+      {from: sourceNodes[0].from, to: sourceNodes[sourceNodes.length - 1].to} : sourceNode;
+    if (!copying && ((destination.line == to.line && destination.ch == to.ch) ||
+                     (destination.line == from.line && destination.ch == from.ch))) {
       // destination is the same as source node location, so this should be a no-op.
       return;
     }
 
-    // a node cannot be dropped into a child of itself
-    if(destinationNode && sourceNode.el && sourceNode.el.contains(destinationNode.el)) {
+    // a node cannot be moved into a child of itself, or in between the
+    // nodes being moved (but it can be copied there)
+    if (!copying && destinationNode && sourceNodes &&
+        sourceNodes.some(node => node.el && node.el.contains(destinationNode.el))) {
       return;
     }
-    this.cm.operation(() => {
-      if (destinationNode && destinationNode.type == 'literal') {
-        if (this.cm.indexFromPos(sourceNode.from) < this.cm.indexFromPos(destinationNode.from)) {
-          this.cm.replaceRange(sourceNodeText, destinationNode.from, destinationNode.to);
-          this.cm.replaceRange('', sourceNode.from, sourceNode.to);
+    if (!copying && sourceNodes && this.ast.comparePos(from, destination) < 0 &&
+        this.ast.comparePos(destination, to) < 0) {
+      return;
+    }
+    let dest = destinationNode && ['literal', 'blank'].includes(destinationNode.type) ?
+      destinationNode : destination;
+    let inside = dest instanceof ASTNode || !destinationOutside;
+    let mismatch = inside ? this.getTypeMismatch(sourceNodes || [sourceNode], dest) : null;
+    if (mismatch && this.rejectTypeMismatches) {
+      this.say('rejectedDrop', mismatch);
+      return;
+    }
+    let where = this.describeDropLocation(
+      inside ? this.getDropLocation(sourceNodes || [sourceNode], dest) : {parent: null});
+    let action = copying ? 'copied' : this.isInAST(sourceNode) ? 'moved' : 'inserted';
+    let done;
+    // the dropped node gets focus once the document has been rendered again
+    if (sourceNode.id) {
+      this.focusNodeId = sourceNode.id;
+    }
+    if (!this.isInAST(sourceNode) || copying) {
+      // copies, and nodes dragged in from elsewhere, like the toolbar, just get
+      // inserted. Copies get moved to the start of a line first, like printed
+      // nodes, so that they can be indented to wherever they go.
+      let text = copying ? reindent(sourceNodeText, from.ch, 0) : sourceNodeText;
+      done = this.recordHistory(copying ? 'copy' : 'insert', sourceNodeText.trim(), null, () => {
+        if (dest instanceof ASTNode) {
+          this.replaceNode(dest, text);
         } else {
-          this.cm.replaceRange('', sourceNode.from, sourceNode.to);
-          this.cm.replaceRange(sourceNodeText, destinationNode.from, destinationNode.to);
-        }
-      } else {
-        if (this.willInsertNode) {
-          // give client code an opportunity to modify the sourceNodeText before
-          // it gets dropped in. For example, to add proper spacing
-          sourceNodeText = this.willInsertNode(
-            sourceNodeText,
-            sourceNode,
-            destination,
-            destinationNode
-          );
+          this.applyEdits([this.getInsertEdit(dest, text, text, {sourceNode, destinationNode})]);
         }
-        if (this.cm.indexFromPos(sourceNode.from) < this.cm.indexFromPos(destination)) {
-          this.cm.replaceRange(sourceNodeText, destination);
-          this.cm.replaceRange('', sourceNode.from, sourceNode.to);
+      });
+    } else {
+      done = this.recordHistory('move', sourceNodeText, from, () => {
+        if (inside) {
+          this.moveNodes(sourceNodes, dest);
         } else {
-          this.cm.replaceRange('', sourceNode.from, sourceNode.to);
-          this.cm.replaceRange(sourceNodeText, destination);
-        }
-        if (this.didInsertNode) {
-          this.didInsertNode(
-            sourceNodeText,
-            sourceNode,
-            destination,
-            destinationNode
-          );
+          // dropping outside of every node moves the nodes onto a line of their own
+          let edit = this.getInsertEdit(dest, sourceNodes[0], '\n' + sourceNodeText,
+                                        {sourceNode, destinationNode});
+          this.applyEdits([this.getRemoveEdit(from, to, edit.from), edit]);
         }
+      });
+    }
+    if (done) {
+      let message = this.messages[action](sourceNodeText.trim(), where);
+      if (mismatch) {
+        this.say('withTypeMismatch', message, mismatch);
+      } else {
+        this.announce(message);
       }
-    });
+    }
   }
 
   insertionQuarantine(e) {
@@ -507,21 +1902,97 @@ export default class CodeMirrorBlocks {
     let mk = this.cm.setBookmark(cur, {widget: node.el}); // add the node as a bookmark
     node.quarantine = mk;                                 // store the marker in the node
     setTimeout(() => { this.editLiteral(node, e); }, 50); // give the DOM a few ms, then edit
+    return node;
+  }
+
+  // Pasted text gets parsed first, so that it goes in as blocks: in place of
+  // the selected nodes, at the drop target that has focus, or at the cursor.
+  // Text that doesn't parse is marked as an error, and the error announced.
+  handlePaste(event) {
+    let activeEl = document.activeElement;
+    if (!this.blockMode || activeEl && activeEl.classList.contains('blocks-editing')) {
+      return; // paste into whatever is being edited like normal
+    }
+    event.preventDefault();
+    event.stopPropagation();
+    let text = event.clipboardData.getData('text/plain').trim();
+    let fragment = event.clipboardData.getData(FRAGMENT_TYPE);
+    let nodes = this.getSelectedNodes();
+    let dropTarget = null;
+    if (this.held && this.held.targetEl) {
+      // while nodes are being moved with the keyboard, things get pasted
+      // wherever the nodes would have been dropped instead
+      let targetEl = this.held.targetEl;
+      let isBlank = targetEl.classList.contains('blocks-blank');
+      nodes = isBlank ? [this.findNodeFromEl(targetEl)] : [];
+      dropTarget = isBlank ? null : targetEl;
+    }
+    try {
+      // Nodes copied from an editor come with the text they were copied from,
+      // which doesn't need to be parsed again. It keeps its comments and line
+      // breaks, so it goes in rather than the nodes, unless it's missing.
+      if (fragment && !text) {
+        text = JSON.parse(fragment).map(data => print(ASTNode.fromJSON(data))).join(' ');
+      } else if (!fragment && !this.parser.parse(text).rootNodes.length) {
+        throw new Error("There is nothing to paste");
+      }
+    } catch (e) {
+      let el = nodes.length ? nodes[0].el : dropTarget;
+      if (!el) {
+        // the text can still be fixed up before it goes in
+        el = this.insertionQuarantine(event).el;
+      } else {
+        el.addEventListener('blur', function clearError() {
+          el.classList.remove('blocks-error');
+          el.removeEventListener('blur', clearError);
+        });
+      }
+      this.markError(el, e);
+      this.say('pasteError', text, el.title);
+      return;
+    }
+    if (this.held) {
+      this.cancelHoldingNodes();
+    }
+    let done;
+    if (nodes.length) {
+      let {from, to} = this.getSiblingRange(nodes);
+      done = this.recordHistory('paste', text, from, () => {
+        this.applyEdits([{from, to, text: this.getIndentedText(text, from)}]);
+        this.focusNodeAt(from);
+      });
+    } else {
+      let pos = dropTarget ? getLocationFromEl(dropTarget) : this.cm.getCursor();
+      done = this.recordHistory('paste', text, null, () => {
+        this.applyEdits([this.getInsertEdit(pos, text)]);
+      });
+    }
+    if (done) {
+      this.say('pasted', text);
+    }
   }
 
   handleKeyDown(event) {
     let keyName = CodeMirror.keyName(event);
     let selectedNode = this.getSelectedNode();
     // Enter and Backspace behave differently if a node is selected
-    if (keyName == "Enter" && selectedNode &&
+    if (this.held && HOLD_KEYS[keyName]) {
+      this[HOLD_KEYS[keyName]]();
+    } else if (this.blockMode && START_FIND_KEYS.includes(keyName)) {
+      this.promptToFind();
+    } else if (this.search && FIND_KEYS[keyName]) {
+      this[FIND_KEYS[keyName]]();
+    } else if (keyName == "Enter" && selectedNode &&
         ["literal", "blank"].includes(selectedNode.type)) {
       this.editLiteral(selectedNode, event);
     } else if (keyName == "Backspace" && selectedNode) {
       this.deleteSelectedNodes();
-    } else if (keyName == "Tab") {
+    } else if (keyName == "Tab" && !selectedNode) {
       this.selectNextNode(event);
-    } else if (keyName == "Shift-Tab") {
+    } else if (keyName == "Shift-Tab" && !selectedNode) {
       this.selectPrevNode(event);
+    } else if (selectedNode && BLOCK_KEYS[keyName]) {
+      this[BLOCK_KEYS[keyName]](event);
     } else {
       let command = this.keyMap[keyName];
       if (typeof command == "string") {
@@ -1,3 +1,4 @@
 import CodeMirrorBlocks from './blocks';
 CodeMirrorBlocks.ast = require('./ast');
+CodeMirrorBlocks.print = require('./print').default;
 module.exports = CodeMirrorBlocks;
@@ -0,0 +1,87 @@
+// Everything that gets announced to screen readers, along with the summaries
+// shown in place of collapsed blocks. Each message is a function that takes
+// the details of what happened and returns the text to show or announce, so
+// that any of them can be reworded or translated with the `messages` option of
+// `CodeMirrorBlocks`.
+const ORDINALS = [
+  'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'
+];
+
+function ordinal(n) {
+  if (n <= ORDINALS.length) {
+    return ORDINALS[n - 1];
+  }
+  let suffix = ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+  return n + (n % 100 >= 11 && n % 100 <= 13 ? 'th' : suffix);
+}
+
+// e.g. "1 argument" or "2 arguments"
+export function pluralize(count, word) {
+  return `${count} ${count == 1 ? word : word + 's'}`;
+}
+
+const MESSAGES = {
+  tree: () => "Blocks",
+
+  // selection
+  selected: (label, position, count) => `${label}, ${position} of ${count}`,
+  blocksSelected: count => `${count} ${count == 1 ? 'block' : 'blocks'} selected`,
+  topLevel: () => "This is a top level block",
+  nothingInside: () => "This block has nothing inside of it",
+  firstBlock: () => "This is the first block here",
+  lastBlock: () => "This is the last block here",
+  noBlocks: () => "There are no blocks",
+  notInDefinition: () => "This block is not inside of a definition",
+
+  // where dropped blocks went
+  argument: (position, func) => `into ${ordinal(position)} argument of ${func}`,
+  inside: label => `into ${label}`,
+  atTopLevel: () => "at the top level",
+
+  // changes
+  moved: (text, where) => `moved ${text} ${where}`,
+  copied: (text, where) => `copied ${text} ${where}`,
+  inserted: (text, where) => `inserted ${text} ${where}`,
+  deleted: text => `deleted ${text}`,
+  cut: text => `cut ${text}`,
+  pasted: text => `pasted ${text}`,
+  edited: (oldText, text) => `changed ${oldText} to ${text}`,
+  undid: (action, text) => `undid ${action} of ${text}`,
+  redid: (action, text) => `redid ${action} of ${text}`,
+
+  // errors
+  parseError: (text, error) => `${text} is not valid: ${error}`,
+  pasteError: (text, error) => `Could not paste ${text}: ${error}`,
+  typeMismatch: (func, expected, text, actual) =>
+    `${func} expects a ${expected} here, but ${text} is a ${actual}`,
+  rejectedDrop: mismatch => `Can't drop this here: ${mismatch}`,
+  // anything else that gets announced along with a type mismatch
+  withTypeMismatch: (message, mismatch) => `${message}. ${mismatch}`,
+
+  // moving blocks with the keyboard
+  pickedUp: text => `picked up ${text}. ` +
+    'Use the arrow keys to choose where it goes, enter to drop it, or escape to cancel',
+  dropTarget: (where, label) => label ? `${where}, in ${label}` : where,
+  before: label => `before ${label}`,
+  after: label => `after ${label}`,
+  atStart: () => "at the start",
+  onto: label => `onto ${label}`,
+  nowhereToDrop: () => "There is nowhere else to drop this",
+  noDropTarget: () => "Choose where to drop this with the arrow keys first",
+  stoppedMoving: text => `stopped moving ${text}`,
+
+  // collapsing blocks
+  collapsed: label => `collapsed ${label}`,
+  expanded: label => `expanded ${label}`,
+  collapsedInside: () => "This block is collapsed",
+  functionSummary: (name, argCount) => `define ${name} (${pluralize(argCount, 'argument')})`,
+  expressionSummary: (func, argCount) => `${func} (${pluralize(argCount, 'argument')})`,
+  summary: text => `${text} …`,
+
+  // finding blocks
+  findPrompt: () => "Find blocks:",
+  match: (label, position, count) => `${label}, match ${position} of ${count}`,
+  noMatches: query => `Nothing matches ${query}`
+};
+
+export default MESSAGES;
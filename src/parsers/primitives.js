@@ -52,6 +52,18 @@ export class PrimitiveGroup {
     return new PrimitiveGroup(this.parser, this.name, result);
   }
 
+  // finds the primitive called `name` in this group or any group inside of it
+  getPrimitive(name) {
+    for (let primitive of this.primitives) {
+      let found = primitive instanceof PrimitiveGroup ?
+        primitive.getPrimitive(name) : primitive.name == name && primitive;
+      if (found) {
+        return found;
+      }
+    }
+    return null;
+  }
+
   static fromConfig(parser, config) {
     var {name, primitives} = config;
     if (!name) {
@@ -7,9 +7,18 @@ import {
   Comment,
   VariableDefinition,
   Unknown,
-  Blank
+  Blank,
+  IfExpression,
+  CondExpression,
+  CondClause,
+  LambdaExpression,
+  LetExpression,
+  Binding,
+  QuotedExpression,
+  Vector
 } from '../../ast';
 import {PrimitiveGroup} from '../primitives';
+import {pluralize} from '../../messages';
 import PRIMITIVES_CONFIG from './primitives-config';
 
 try {
@@ -21,22 +30,63 @@ try {
 }
 
 function expressionAria(func, argCount) {
-  let aria = `${func} expression, ${argCount} argument`;
-  if (argCount != 1) {
-    aria += 's';
+  return `${func} expression, ${pluralize(argCount, 'argument')}`;
+}
+
+// wescheme-js has no structure for vector literals, like #(1 2 3), which it
+// turns into calls to `vector`, so they get one here to be told apart by.
+class VectorLiteral {
+  constructor(elts) {
+    this.elts = elts;
   }
-  return aria;
 }
 
-function parseNode(node) {
-  var from = {
-    line: node.location.startRow - 1,
-    ch: node.location.startCol
-  };
-  var to = {
-    line: node.location.endRow - 1,
-    ch: node.location.endCol
+function getRange(location) {
+  return {
+    from: {line: location.startRow - 1, ch: location.startCol},
+    to: {line: location.endRow - 1, ch: location.endCol}
   };
+}
+
+// Turns a keyword symbol, like the `begin` in `(begin ...)`, into a literal,
+// so forms that don't have a node type of their own can be shown as
+// expressions.
+function keywordLiteral(stx) {
+  let {from, to} = getRange(stx.location);
+  return new Literal(from, to, stx.val, 'symbol', {'aria-label': stx.val});
+}
+
+// Quoted data isn't code, so lists inside of it are written back out as text,
+// with everything else converted the same way it would be outside a quote.
+function datumText(sexp) {
+  if (sexp instanceof Array) {
+    return `(${sexp.map(datumText).join(' ')})`;
+  } else if (sexp instanceof structures.quotedExpr) {
+    // the parser wraps the plain data inside of a quasiquote in these
+    return datumText(sexp.val);
+  } else if (sexp instanceof structures.quasiquotedExpr) {
+    return `\`${datumText(sexp.val)}`;
+  } else if (sexp instanceof structures.unquotedExpr) {
+    return `,${datumText(sexp.val)}`;
+  } else if (sexp instanceof structures.unquoteSplice) {
+    return `,@${datumText(sexp.val)}`;
+  } else if (sexp instanceof structures.symbolExpr) {
+    return sexp.stx;
+  }
+  return sexp.toString();
+}
+
+function parseDatum(sexp) {
+  if (sexp instanceof structures.symbolExpr || sexp instanceof structures.literal) {
+    return parseNode(sexp);
+  }
+  let {from, to} = getRange(sexp.location);
+  let text = datumText(sexp);
+  return new Literal(from, to, text, 'list', {'aria-label': `list ${text}`});
+}
+
+function parseNode(node) {
+  var {from, to} = getRange(node.location);
 
   if (node instanceof structures.callExpr) {
 
@@ -59,59 +109,180 @@ function parseNode(node) {
       node.args.map(parseNode).filter(item => item !== null),
       {'aria-label': expressionAria(node.func ? node.func.stx : 'empty', node.args.length)}
     );
-  } else if (node instanceof structures.andExpr) {
-    return new Expression(
-      from,
-      to,
-      new Literal(
-        //TODO: don't guess where the and symbol is, need to parse it here.
-        {line:from.line, ch:from.ch+1},
-        {line:from.line, ch:from.ch+4},
-        "and",
-        "symbol",
-         {'aria-label': 'and'}
-      ),
-      node.exprs.map(parseNode).filter(item => item !== null),
-      {'aria-label': expressionAria('and', node.exprs.length)}
-    );
-  } else if (node instanceof structures.orExpr) {
+  } else if (node instanceof structures.andExpr || node instanceof structures.orExpr) {
     return new Expression(
       from,
       to,
-      new Literal(
-        //TODO: don't guess where the or symbol is, need to parse it here.
-        {line:from.line, ch:from.ch+1},
-        {line:from.line, ch:from.ch+3},
-        "or",
-        "symbol",
-         {'aria-label': 'or'}
-      ),
+      keywordLiteral(node.stx),
       node.exprs.map(parseNode).filter(item => item !== null),
-      {'aria-label': expressionAria('or', node.exprs.length)}
+      {'aria-label': expressionAria(node.stx.val, node.exprs.length)}
     );
   } else if (node instanceof structures.defVar) {
     return new VariableDefinition(
       from,
       to,
-      node.name.stx,
+      parseNode(node.name),
       parseNode(node.expr)
     );
   } else if (node instanceof structures.defStruct) {
     return new Struct(
       from,
       to,
-      node.name.stx,
+      parseNode(node.name),
       node.fields.map(parseNode).filter(item => item != null)
     );
   } else if (node instanceof structures.defFunc) {
     return new FunctionDefinition(
       from,
       to,
-      node.name.stx,
-      node.args.map(symbolNode => symbolNode.stx),
+      parseNode(node.name),
+      node.args.map(parseNode),
       parseNode(node.body)
     );
+  } else if (node instanceof structures.defVars) {
+    return new Expression(
+      from,
+      to,
+      keywordLiteral(node.stx[0]),
+      [parseDatum(node.names), parseNode(node.expr)],
+      {'aria-label': `define-values expression, defining ${pluralize(node.names.length, 'name')}`}
+    );
+  } else if (node instanceof structures.ifExpr) {
+    return new IfExpression(
+      from,
+      to,
+      parseNode(node.predicate),
+      parseNode(node.consequence),
+      parseNode(node.alternative),
+      {'aria-label': 'if expression'}
+    );
+  } else if (node instanceof structures.condExpr) {
+    return new CondExpression(
+      from,
+      to,
+      node.clauses.map(clause => {
+        let range = getRange(clause.location);
+        return new CondClause(
+          range.from,
+          range.to,
+          parseNode(clause.first),
+          [parseNode(clause.second)],
+          {'aria-label': 'cond clause'}
+        );
+      }),
+      {'aria-label': `cond expression, ${pluralize(node.clauses.length, 'clause')}`}
+    );
+  } else if (node instanceof structures.caseExpr) {
+    let clauses = node.clauses.map(clause => {
+      let range = getRange(clause.location);
+      // every test but the else is a quoted list of values
+      let test = clause.first instanceof structures.quotedExpr
+          ? parseDatum(clause.first.val)
+          : parseNode(clause.first);
+      return new CondClause(
+        range.from,
+        range.to,
+        test,
+        [parseNode(clause.second)],
+        {'aria-label': 'case clause'}
+      );
+    });
+    return new Expression(
+      from,
+      to,
+      keywordLiteral(node.stx),
+      [parseNode(node.expr)].concat(clauses),
+      {'aria-label': `case expression, ${pluralize(clauses.length, 'clause')}`}
+    );
+  } else if (node instanceof structures.lambdaExpr) {
+    return new LambdaExpression(
+      from,
+      to,
+      node.args.map(parseNode),
+      parseNode(node.body),
+      {'aria-label': `lambda expression, ${pluralize(node.args.length, 'argument')}`}
+    );
+  } else if (node instanceof structures.localExpr) {
+    return new LetExpression(
+      from,
+      to,
+      'local',
+      node.defs.map(parseNode).filter(item => item !== null),
+      parseNode(node.body),
+      {'aria-label': `local expression, ${pluralize(node.defs.length, 'definition')}`}
+    );
+  } else if (node instanceof structures.letExpr ||
+             node instanceof structures.letStarExpr ||
+             node instanceof structures.letrecExpr) {
+    let keyword = node instanceof structures.letExpr ? 'let' :
+                  node instanceof structures.letStarExpr ? 'let*' :
+                  'letrec';
+    return new LetExpression(
+      from,
+      to,
+      keyword,
+      node.bindings.map(binding => {
+        let range = getRange(binding.location);
+        return new Binding(
+          range.from,
+          range.to,
+          parseNode(binding.first),
+          parseNode(binding.second),
+          {'aria-label': `binding ${binding.first.stx}`}
+        );
+      }),
+      parseNode(node.body),
+      {'aria-label': `${keyword} expression, ${pluralize(node.bindings.length, 'binding')}`}
+    );
+  } else if (node instanceof structures.beginExpr) {
+    return new Expression(
+      from,
+      to,
+      keywordLiteral(node.stx),
+      node.exprs.map(parseNode).filter(item => item !== null),
+      {'aria-label': expressionAria('begin', node.exprs.length)}
+    );
+  } else if (node instanceof structures.whenUnlessExpr) {
+    let exprs = [node.predicate].concat(node.exprs);
+    return new Expression(
+      from,
+      to,
+      keywordLiteral(node.stx),
+      exprs.map(parseNode).filter(item => item !== null),
+      {'aria-label': expressionAria(node.stx.val, exprs.length)}
+    );
+  } else if (node instanceof structures.quotedExpr ||
+             node instanceof structures.quasiquotedExpr) {
+    let keyword = node instanceof structures.quotedExpr ? 'quote' : 'quasiquote';
+    let value = parseDatum(node.val);
+    return new QuotedExpression(from, to, value, keyword, {'aria-label': `${keyword}d ${value}`});
+  } else if (node instanceof structures.requireExpr) {
+    return new Expression(
+      from,
+      to,
+      keywordLiteral(node.stx),
+      [parseDatum(node.spec)],
+      {'aria-label': expressionAria('require', 1)}
+    );
+  } else if (node instanceof structures.provideStatement) {
+    return new Expression(
+      from,
+      to,
+      keywordLiteral(node.stx),
+      node.clauses.map(parseDatum),
+      {'aria-label': expressionAria('provide', node.clauses.length)}
+    );
+  } else if (node instanceof VectorLiteral) {
+    return new Vector(
+      from,
+      to,
+      node.elts.map(parseNode).filter(item => item !== null),
+      {'aria-label': `vector, ${pluralize(node.elts.length, 'element')}`}
+    );
   } else if (node instanceof structures.symbolExpr) {
+    if (node.stx == '...') {
+      return new Blank(from, to, node.stx, 'blank', {'aria-label': 'blank'});
+    }
     return new Literal(from, to, node.stx, "symbol", {'aria-label':node.stx});
   } else if (node instanceof structures.literal) {
     var dataType = typeof node.val;
@@ -125,6 +296,8 @@ function parseNode(node) {
     } else if (node.val === types.FALSE || node.val === types.TRUE) {
       dataType = "boolean";
       aria = `${node.val}`;
+    } else if (types.isNumber(node.val)) {
+      dataType = "number";
     }
     return new Literal(from, to, node, dataType, {'aria-label':aria});
   } else if (node instanceof structures.comment) {
@@ -192,6 +365,12 @@ class WeschemeParser {
     });
   }
 
+  // quote marks stick to whatever they quote, and brackets to whatever is
+  // inside of them
+  needsSpaceBetween(before, after) {
+    return !/[\s([{'`,]/.test(before) && !/[\s)\]}]/.test(after);
+  }
+
   lex(code) {
     return lex(code);
   }
@@ -285,7 +464,9 @@ class WeschemeParser {
           || !(sexp[1] instanceof Array)) {   // is it (define-values <not a list> )?
           return fallback(sexp);
         }
-        return new structures.defVars(sexp[1].map(parseIdExpr), parseExpr(sexp[2]), sexp);
+        var names = sexp[1].map(parseIdExpr);
+        names.location = sexp[1].location;
+        return new structures.defVars(names, parseExpr(sexp[2]), sexp);
       }
 
       function parseDef(sexp) {
@@ -415,7 +596,12 @@ class WeschemeParser {
       function parseQuotedExpr(sexp) {
 
         function parseQuotedItem(sexp) {
-          return isCons(sexp) ? sexp.map(parseQuotedItem) : (sexp instanceof Array && sexp.length === 0) ? sexp // the empty list is allowed inside quotes
+          if (isCons(sexp)) {
+            var items = sexp.map(parseQuotedItem);
+            items.location = sexp.location;
+            return items;
+          }
+          return (sexp instanceof Array && sexp.length === 0) ? sexp // the empty list is allowed inside quotes
             : /* else */ parseExprSingleton(sexp);
         }
         // quote must have exactly one argument
@@ -640,25 +826,12 @@ class WeschemeParser {
       return result;
     }
 
-    // replace all undefineds with the last sexp, and convert to a function call
+    // the elements that sized vectors, like #3(1), fill themselves up with
+    // aren't in the code, so only the ones that are get kept
     function parseVector(sexp) {
-      function buildZero() {
-        var lit = new structures.literal(0);
-        lit.location = sexp.location;
-        return lit;
-      }
-      var unParsedVector = sexp.val,
-        vals = parseStar(unParsedVector.elts.filter(function(e) {
-          return e !== undefined;
-        })),
-        last = (vals.length === 0) ? buildZero() : vals[vals.length - 1], // if they're all undefined, use 0
-        elts = unParsedVector.elts.map(function(v) {
-          return (v === undefined) ? last : parseExpr(v);
-        });
-      var vectorFunc = new structures.symbolExpr("vector"),
-        buildVector = new structures.callExpr(vectorFunc, elts);
-      vectorFunc.location = buildVector.location = sexp.location;
-      return buildVector;
+      return new VectorLiteral(parseStar(sexp.val.elts.filter(function(e) {
+        return e !== undefined;
+      })));
     }
 
     function parseExprSingleton(sexp) {
@@ -0,0 +1,145 @@
+// The printer turns AST nodes back into well formed source code. A node gets
+// printed on a single line if it fits within the line `width`. Otherwise only
+// the first few parts of it (like the function being called, or the name
+// being defined) stay on the first line, and everything else goes on lines of
+// its own, indented by `indent` spaces.
+const DEFAULT_OPTIONS = {
+  indent: 2,
+  width: 80
+};
+
+// Returns everything that goes between the brackets of a node that has parts
+// of its own, how many of those parts stay on the first line when the node
+// gets broken up, and which brackets go around it if they aren't parentheses.
+// Parts that are lists of their own (like the arguments of a function
+// definition) are groups, which get broken up one item per line.
+function getParts(node) {
+  switch (node.type) {
+  case 'expression':
+    return {parts: [node.func].concat(node.args), keep: 1};
+  case 'functionDef':
+    return {parts: ['define', {group: [node.name].concat(node.args)}, node.body], keep: 2};
+  case 'variableDef':
+    return {parts: ['define', node.name, node.body], keep: 2};
+  case 'struct':
+    return {parts: ['define-struct', node.name, {group: node.fields}], keep: 3};
+  case 'unknown':
+    return {parts: node.elts, keep: 1};
+  case 'ifExpression':
+    return {parts: ['if', node.testExpr, node.thenExpr, node.elseExpr], keep: 2};
+  case 'condExpression':
+    return {parts: ['cond'].concat(node.clauses), keep: 1};
+  case 'condClause':
+    return {parts: [node.testExpr].concat(node.thenExprs), keep: 1, open: '[', close: ']'};
+  case 'lambdaExpression':
+    return {parts: ['lambda', {group: node.args}, node.body], keep: 2};
+  case 'letExpression':
+    if (node.keyword == 'local') {
+      return {parts: ['local', {group: node.bindings, open: '[', close: ']'}, node.body], keep: 2};
+    }
+    return {parts: [node.keyword, {group: node.bindings}, node.body], keep: 2};
+  case 'binding':
+    return {parts: [node.name, node.value], keep: 1, open: '[', close: ']'};
+  case 'vector':
+    return {parts: node.elts, keep: 1, open: '#('};
+  default:
+    throw new Error(`Don't know how to print node: ${node.type}`);
+  }
+}
+
+function printLeaf(node) {
+  switch (node.type) {
+  case 'literal':
+    return `${node.value}`;
+  case 'blank':
+    return `${node.value || '...'}`;
+  case 'comment':
+    return `;${node.comment}`;
+  default:
+    return null;
+  }
+}
+
+function quoteMark(node) {
+  return node.keyword == 'quasiquote' ? '`' : "'";
+}
+
+function isComment(part) {
+  return !!part && part.type == 'comment';
+}
+
+// Returns the parts of a node or group, along with the brackets that go
+// around them.
+function getLayout(part) {
+  let layout = part.group ? {parts: part.group, keep: 1, open: part.open, close: part.close}
+                          : getParts(part);
+  return {
+    parts: layout.parts.filter(item => item != null),
+    keep: layout.keep,
+    open: layout.open || '(',
+    close: layout.close || ')'
+  };
+}
+
+// Prints a part on a single line, or returns null if it can't be, because a
+// comment would swallow everything after it.
+function printFlat(part) {
+  if (typeof part != 'object') {
+    return `${part}`;
+  }
+  if (isComment(part)) {
+    return null;
+  }
+  if (part.type == 'quotedExpression') {
+    let value = printFlat(part.value);
+    return value === null ? null : quoteMark(part) + value;
+  }
+  let leaf = part.group ? null : printLeaf(part);
+  if (leaf !== null) {
+    return leaf;
+  }
+  let {parts, open, close} = getLayout(part);
+  let items = parts.map(printFlat);
+  return items.indexOf(null) != -1 ? null : `${open}${items.join(' ')}${close}`;
+}
+
+function printPart(part, column, options) {
+  let flat = printFlat(part);
+  if (flat !== null && (column + flat.length <= options.width || typeof part != 'object')) {
+    return flat;
+  }
+  // leaves can't be broken up, however long they are
+  let leaf = part.group ? null : printLeaf(part);
+  if (leaf !== null) {
+    return leaf;
+  }
+  if (part.type == 'quotedExpression') {
+    return quoteMark(part) + printPart(part.value, column + 1, options);
+  }
+  let {parts, keep, open, close} = getLayout(part);
+  // the items of a group line up with each other, rather than being indented
+  let indent = part.group ? open.length : options.indent;
+  let headColumn = column + open.length;
+  let head = parts.slice(0, keep).map(item => {
+    let text = printPart(item, headColumn, options);
+    headColumn += text.length + 1;
+    return text;
+  });
+  let padding = ' '.repeat(column + indent);
+  let lines = [open + head.join(' ')].concat(
+    parts.slice(keep).map(item => padding + printPart(item, column + indent, options))
+  );
+  // a closing bracket after a comment would get commented out
+  let end = isComment(parts[parts.length - 1]) ? `\n${' '.repeat(column)}${close}` : close;
+  return lines.join('\n') + end;
+}
+
+// `print` takes a node, or an AST (in which case every root node goes on a
+// line of its own), and an optional object of `indent` and `width` options.
+export default function print(node, options={}) {
+  options = Object.assign({}, DEFAULT_OPTIONS, options);
+  if (node.rootNodes) {
+    return node.rootNodes.map(rootNode => printPart(rootNode, 0, options)).join('\n');
+  }
+  return printPart(node, 0, options);
+}
@@ -12,6 +12,14 @@ export var nodes = {
   functionDef: require('./templates/functionDef.handlebars'),
   variableDef: require('./templates/variableDef.handlebars'),
   struct: require('./templates/struct.handlebars'),
+  ifExpression: require('./templates/ifExpression.handlebars'),
+  condExpression: require('./templates/condExpression.handlebars'),
+  condClause: require('./templates/condClause.handlebars'),
+  lambdaExpression: require('./templates/lambdaExpression.handlebars'),
+  letExpression: require('./templates/letExpression.handlebars'),
+  binding: require('./templates/binding.handlebars'),
+  quotedExpression: require('./templates/quotedExpression.handlebars'),
+  vector: require('./templates/vector.handlebars'),
   literal: require('./templates/literal.handlebars'),
   comment: require('./templates/comment.handlebars'),
   blank: require('./templates/blank.handlebars')
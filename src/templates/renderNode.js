@@ -1,7 +1,13 @@
+import Handlebars from 'handlebars/runtime';
 import {renderHTMLString} from '../render';
 module.exports = function(node) {
   if (!node) {
     return '';
   }
+  // names and arguments can still be given as plain strings, which aren't
+  // nodes of their own
+  if (typeof node == 'string') {
+    return `<span class="blocks-name">${Handlebars.Utils.escapeExpression(node)}</span>`;
+  }
   return renderHTMLString(node);
 };
@@ -1,6 +1,7 @@
 import React from 'react';
 import ReactDOM from 'react-dom';
 import {renderHTMLString} from '../render';
+import print from '../print';
 
 require('./PrimitiveBlock.less');
 
@@ -16,8 +17,8 @@ function onDragStart(node, event) {
   el.classList.add('blocks-dragging');
   event.dataTransfer.effectAllowed = 'move';
   event.dataTransfer.setDragImage(el, -5, -5);
-  event.dataTransfer.setData('text/plain', node.toString());
-  event.dataTransfer.setData('text/json', JSON.stringify(node));
+  event.dataTransfer.setData('text/plain', print(node));
+  event.dataTransfer.setData('text/json', JSON.stringify(node.toJSON()));
 }
 
 export default React.createClass({
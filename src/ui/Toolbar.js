@@ -1,6 +1,7 @@
 import React from 'react';
 import PrimitiveList from './PrimitiveList';
 import PrimitiveBlock from './PrimitiveBlock';
+import TrashCan from './TrashCan';
 import classNames from 'classnames';
 
 require('./Toolbar.less');
@@ -41,6 +42,15 @@ export default React.createClass({
       selectedPrimitive = null;
     }
     this.setState({selectedPrimitive});
+    if (this.props.blocks.selectPrimitive) {
+      this.props.blocks.selectPrimitive(selectedPrimitive);
+    }
+  },
+
+  dropOntoTrash(event) {
+    if (this.props.blocks.dropOntoTrash) {
+      this.props.blocks.dropOntoTrash(event);
+    }
   },
 
   render() {
@@ -76,6 +86,9 @@ export default React.createClass({
           <div className="contract-header">Contract</div>
           <PrimitiveBlock primitive={selected} />
         </div>
+        <div className="trash-box">
+          <TrashCan onDrop={this.dropOntoTrash} />
+        </div>
       </div>
     );
   }
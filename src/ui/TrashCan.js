@@ -0,0 +1,55 @@
+import React from 'react';
+import classNames from 'classnames';
+
+require('./TrashCan.less');
+
+export default React.createClass({
+  displayName: 'TrashCan',
+
+  getDefaultProps() {
+    return {
+      onDrop: null
+    };
+  },
+
+  getInitialState() {
+    return {
+      over: false
+    };
+  },
+
+  handleDragEnter(event) {
+    event.preventDefault();
+    this.setState({over: true});
+  },
+
+  handleDragOver(event) {
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'move';
+  },
+
+  handleDragLeave() {
+    this.setState({over: false});
+  },
+
+  handleDrop(event) {
+    event.preventDefault();
+    this.setState({over: false});
+    if (this.props.onDrop) {
+      this.props.onDrop(event.nativeEvent);
+    }
+  },
+
+  render() {
+    return (
+      <div className={classNames('TrashCan', {over: this.state.over})}
+           onDragEnter={this.handleDragEnter}
+           onDragOver={this.handleDragOver}
+           onDragLeave={this.handleDragLeave}
+           onDrop={this.handleDrop}>
+        <span className="glyphicon glyphicon-trash" aria-hidden="true"/>
+        {' '}Drop blocks here to delete them
+      </div>
+    );
+  }
+});